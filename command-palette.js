@@ -0,0 +1,646 @@
+/**
+ * Command Palette
+ * Ctrl+K / "/" search across the portfolio and Roblox projects, with actions that work from either page
+ */
+class CommandPalette {
+    constructor(options = {}) {
+        this.options = { ...CommandPalette.DEFAULT_OPTIONS, ...options };
+        this.sources = null; // { sections, projects, commissions } once loaded
+        this.loadPromise = null;
+        this.commands = [];
+        this.results = [];
+        this.activeIndex = 0;
+        this.isOpen = false;
+        this.element = null;
+        this.previousFocus = null;
+        this.init();
+    }
+
+    /**
+     * Initialize once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    /**
+     * Listen for the shortcuts and trigger buttons
+     */
+    setup() {
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+
+        document.querySelectorAll('[data-command-palette-trigger]').forEach(trigger => {
+            trigger.addEventListener('click', () => this.open());
+        });
+
+        document.addEventListener('languagechange', () => {
+            if (this.isOpen) {
+                this.applyLabels();
+                this.buildCommands();
+                this.search();
+            }
+        });
+    }
+
+    /**
+     * Open on Ctrl+K / Cmd+K anywhere, or "/" when not typing
+     */
+    handleShortcut(e) {
+        // Some synthetic and autofill key events have no key
+        const isModifierShortcut = (e.ctrlKey || e.metaKey) && !e.altKey && typeof e.key === 'string' && e.key.toLowerCase() === 'k';
+        const isSlash = e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !this.isTyping(e.target);
+
+        if (!isModifierShortcut && !isSlash) return;
+
+        e.preventDefault();
+        if (this.isOpen && isModifierShortcut) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Check whether a key event target is a text field
+     */
+    isTyping(target) {
+        if (!target || !target.closest) return false;
+        return Boolean(target.closest('input, textarea, select, [contenteditable="true"]'));
+    }
+
+    /**
+     * Show the palette and focus its search field
+     */
+    async open() {
+        if (this.isOpen) {
+            this.input.focus();
+            return;
+        }
+
+        this.render();
+        this.previousFocus = document.activeElement;
+        this.isOpen = true;
+        this.element.hidden = false;
+        document.body.classList.add('command-palette-open');
+
+        this.applyLabels();
+        this.input.value = '';
+        this.input.focus();
+
+        if (!this.sources) {
+            this.setStatus(i18n.t('palette.loading'));
+            await this.loadSources();
+            if (!this.isOpen) return;
+        }
+
+        this.buildCommands();
+        this.search();
+    }
+
+    /**
+     * Hide the palette and give focus back
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.element.hidden = true;
+        document.body.classList.remove('command-palette-open');
+
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function' && this.previousFocus.isConnected) {
+            this.previousFocus.focus();
+        }
+        this.previousFocus = null;
+    }
+
+    /**
+     * Build the palette markup, once
+     */
+    render() {
+        if (this.element) return;
+
+        this.input = SafeDom.create('input', {
+            className: 'command-palette-input',
+            attrs: {
+                type: 'text',
+                role: 'combobox',
+                autocomplete: 'off',
+                spellcheck: 'false',
+                'aria-autocomplete': 'list',
+                'aria-expanded': 'true',
+                'aria-controls': 'command-palette-results'
+            }
+        });
+        this.list = SafeDom.create('ul', {
+            className: 'command-palette-results',
+            attrs: { id: 'command-palette-results', role: 'listbox' }
+        });
+        this.status = SafeDom.create('p', {
+            className: 'command-palette-status',
+            attrs: { 'aria-live': 'polite' }
+        });
+        this.hints = SafeDom.create('div', { className: 'command-palette-hints' });
+
+        this.dialog = SafeDom.create('div', {
+            className: 'command-palette-dialog',
+            attrs: { role: 'dialog', 'aria-modal': 'true' },
+            children: [
+                SafeDom.create('div', {
+                    className: 'command-palette-search',
+                    children: [SafeDom.icon('fas fa-search'), this.input]
+                }),
+                this.list,
+                this.status,
+                this.hints
+            ]
+        });
+        this.element = SafeDom.create('div', {
+            className: 'command-palette',
+            attrs: { hidden: '' },
+            children: [this.dialog]
+        });
+
+        this.input.addEventListener('input', () => this.search());
+        this.element.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.element.addEventListener('click', (e) => {
+            // Keep page-level outside-click handlers (e.g. collapsing expanded items) out of it
+            e.stopPropagation();
+            if (e.target === this.element) {
+                this.close();
+            }
+        });
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-result-index]');
+            if (option) {
+                this.runResult(parseInt(option.getAttribute('data-result-index'), 10));
+            }
+        });
+        this.list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[data-result-index]');
+            if (option) {
+                this.setActive(parseInt(option.getAttribute('data-result-index'), 10), false);
+            }
+        });
+
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Set the translatable labels
+     */
+    applyLabels() {
+        this.dialog.setAttribute('aria-label', i18n.t('palette.label'));
+        this.input.setAttribute('placeholder', i18n.t('palette.placeholder'));
+        this.input.setAttribute('aria-label', i18n.t('palette.placeholder'));
+        this.list.setAttribute('aria-label', i18n.t('palette.results'));
+
+        this.hints.innerHTML = '';
+        SafeDom.append(this.hints, [
+            this.createHint(['↑', '↓'], i18n.t('palette.hintNavigate')),
+            this.createHint(['Enter'], i18n.t('palette.hintSelect')),
+            this.createHint(['Esc'], i18n.t('palette.hintClose'))
+        ]);
+    }
+
+    /**
+     * Create a keyboard hint
+     */
+    createHint(keys, label) {
+        return SafeDom.create('span', {
+            className: 'command-palette-hint',
+            children: [
+                ...keys.map(key => SafeDom.create('kbd', { text: key })),
+                SafeDom.create('span', { text: label })
+            ]
+        });
+    }
+
+    /**
+     * Keyboard navigation inside the palette
+     */
+    handleKeydown(e) {
+        // The palette sits above the page; page shortcuts (slideshow arrows, Escape to collapse) must not see these keys
+        e.stopPropagation();
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.moveActive(1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.moveActive(-1);
+                break;
+            case 'Home':
+                if (e.ctrlKey) {
+                    e.preventDefault();
+                    this.setActive(0);
+                }
+                break;
+            case 'End':
+                if (e.ctrlKey) {
+                    e.preventDefault();
+                    this.setActive(this.results.length - 1);
+                }
+                break;
+            case 'PageDown':
+                e.preventDefault();
+                this.moveActive(CommandPalette.PAGE_STEP, false);
+                break;
+            case 'PageUp':
+                e.preventDefault();
+                this.moveActive(-CommandPalette.PAGE_STEP, false);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.runResult(this.activeIndex);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'Tab':
+                // Focus stays in the search field; the list is navigated with the arrows
+                e.preventDefault();
+                this.moveActive(e.shiftKey ? -1 : 1);
+                break;
+            default:
+                this.handleShortcut(e);
+        }
+    }
+
+    /**
+     * Fetch both data files, once
+     * A page whose data fails to load still contributes nothing rather than breaking the palette
+     */
+    loadSources() {
+        if (!this.loadPromise) {
+            const fetchJson = async (url) => {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            };
+
+            this.loadPromise = Promise.allSettled([
+                fetchJson(this.options.portfolioDataUrl),
+                fetchJson(this.options.robloxDataUrl)
+            ]).then(([portfolio, roblox]) => {
+                [portfolio, roblox].forEach(result => {
+                    if (result.status === 'rejected') {
+                        console.error('Command palette could not load project data:', result.reason);
+                    }
+                });
+
+                const robloxData = this.validateRobloxData(roblox.status === 'fulfilled' ? roblox.value : {});
+                this.sources = {
+                    sections: portfolio.status === 'fulfilled' ? portfolio.value.sections || [] : [],
+                    projects: robloxData.projects,
+                    commissions: robloxData.commissions
+                };
+            });
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Keep only the Roblox entries roblox.html shows, using the same validator
+     * @returns {Object} { projects, commissions }
+     */
+    validateRobloxData(data) {
+        const result = new RobloxDataValidator({ languages: i18n.getTranslatedLanguages() }).validate(data);
+        if (result.errors.length > 0) {
+            // roblox.html reports the details; here they're only left out of the results
+            console.warn(`Command palette skipped ${result.errors.length} invalid Roblox entries`);
+        }
+        return result;
+    }
+
+    /**
+     * Turn the loaded data into commands, in the current language
+     */
+    buildCommands() {
+        const { sections, projects, commissions } = this.sources;
+        this.commands = [];
+
+        sections.forEach(section => {
+            (section.items || []).forEach(item => {
+                this.commands.push(...this.createPortfolioCommands(item, section));
+            });
+        });
+        projects.forEach(entry => this.commands.push(...this.createRobloxCommands(entry, 'roblox.projects')));
+        commissions.forEach(entry => this.commands.push(...this.createRobloxCommands(entry, 'roblox.commissions')));
+    }
+
+    /**
+     * Commands for an index.html item
+     */
+    createPortfolioCommands(item, section) {
+        if (!item || !item.id || !item.name) return [];
+
+        const title = i18n.localize(item, 'name');
+        const layout = item.layout || section.layout || 'list';
+        const hasLinks = Boolean(item.links && item.links.length > 0);
+        const expandable = layout === 'card' ? hasLinks : hasLinks || Boolean(item.description);
+
+        return [{
+            id: `portfolio:${item.id}`,
+            label: i18n.t(expandable ? 'palette.expand' : 'palette.goTo', { title }),
+            detail: i18n.localize(section, 'title'),
+            icon: SafeDom.safeIconClass(section.icon, 'fas fa-folder'),
+            keywords: [item.name, item.id, ...(item.techTags || [])],
+            run: () => this.revealPortfolioItem(item.id)
+        }];
+    }
+
+    /**
+     * Commands for a roblox-data.json project or commission
+     */
+    createRobloxCommands(entry, groupKey) {
+        if (!entry || !entry.id || !entry.title) return [];
+
+        const title = i18n.localize(entry, 'title');
+        const detail = `${i18n.t('roblox.title')} · ${i18n.t(groupKey)}`;
+        const keywords = [entry.title, entry.id, ...(entry.techStack || [])];
+        const commands = [{
+            id: `roblox:${entry.id}`,
+            label: i18n.t('palette.goTo', { title }),
+            detail,
+            icon: 'fas fa-cube',
+            keywords,
+            run: () => this.revealRobloxEntry(entry.id, 'card')
+        }, {
+            id: `roblox:${entry.id}:details`,
+            label: i18n.t('palette.details', { title }),
+            detail,
+            icon: 'fas fa-info-circle',
+            keywords,
+            run: () => this.revealRobloxEntry(entry.id, 'details')
+        }];
+
+        if (Array.isArray(entry.media) && entry.media.length > 0) {
+            commands.push({
+                id: `roblox:${entry.id}:slideshow`,
+                label: i18n.t('palette.slideshow', { title }),
+                detail,
+                icon: 'fas fa-images',
+                keywords,
+                run: () => this.revealRobloxEntry(entry.id, 'slideshow')
+            });
+        }
+
+        const gameUrl = SafeDom.safeUrl(entry.gameUrl);
+        if (gameUrl) {
+            commands.push({
+                id: `roblox:${entry.id}:play`,
+                label: i18n.t('palette.play', { title }),
+                detail,
+                icon: 'fas fa-gamepad',
+                keywords,
+                run: () => window.open(gameUrl, '_blank', 'noopener')
+            });
+        }
+
+        return commands;
+    }
+
+    /**
+     * Filter and rank commands by the current query
+     */
+    search() {
+        const terms = this.input.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+        if (terms.length === 0) {
+            this.results = this.commands.slice(0, this.options.maxResults);
+        } else {
+            this.results = this.commands
+                .map((command, order) => ({ command, order, score: this.scoreCommand(command, terms) }))
+                .filter(result => result.score !== null)
+                .sort((a, b) => b.score - a.score || a.order - b.order)
+                .slice(0, this.options.maxResults)
+                .map(result => result.command);
+        }
+
+        this.activeIndex = 0;
+        this.renderResults();
+    }
+
+    /**
+     * Score a command against every query term
+     * @returns {number|null} Higher is better; null when a term matches nothing
+     */
+    scoreCommand(command, terms) {
+        const fields = [
+            { text: command.label, weight: 2 },
+            { text: command.keywords.join(' '), weight: 1 },
+            { text: command.detail, weight: 0.5 }
+        ];
+
+        let total = 0;
+        for (const term of terms) {
+            let best = null;
+            fields.forEach(({ text, weight }) => {
+                const score = CommandPalette.fuzzyScore(term, text);
+                if (score !== null && (best === null || score * weight > best)) {
+                    best = score * weight;
+                }
+            });
+            if (best === null) return null;
+            total += best;
+        }
+        return total;
+    }
+
+    /**
+     * Render the current results
+     */
+    renderResults() {
+        this.list.innerHTML = '';
+
+        this.results.forEach((command, index) => {
+            this.list.appendChild(SafeDom.create('li', {
+                className: 'command-palette-option',
+                attrs: {
+                    id: `command-palette-option-${index}`,
+                    role: 'option',
+                    'aria-selected': 'false',
+                    'data-result-index': index
+                },
+                children: [
+                    SafeDom.icon(command.icon),
+                    SafeDom.create('span', { className: 'command-palette-label', text: command.label }),
+                    SafeDom.create('span', { className: 'command-palette-detail', text: command.detail })
+                ]
+            }));
+        });
+
+        if (this.results.length === 0) {
+            this.setStatus(i18n.t('palette.empty'));
+        } else {
+            this.setStatus(i18n.t('palette.count', { count: this.results.length }));
+        }
+        this.status.classList.toggle('visually-hidden', this.results.length > 0);
+
+        this.setActive(0);
+    }
+
+    /**
+     * Announce a status message
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    /**
+     * Move the active result
+     * @param {number} delta - Steps to move
+     * @param {boolean} wrap - Whether to wrap around the ends
+     */
+    moveActive(delta, wrap = true) {
+        const count = this.results.length;
+        if (count === 0) return;
+
+        let index = this.activeIndex + delta;
+        if (wrap) {
+            index = (index + count) % count;
+        } else {
+            index = Math.min(Math.max(index, 0), count - 1);
+        }
+        this.setActive(index);
+    }
+
+    /**
+     * Mark a result as active
+     * @param {number} index - Result index
+     * @param {boolean} scroll - Whether to scroll it into view
+     */
+    setActive(index, scroll = true) {
+        const options = this.list.querySelectorAll('[role="option"]');
+        if (options.length === 0) {
+            this.activeIndex = 0;
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.activeIndex = Math.min(Math.max(index, 0), options.length - 1);
+        options.forEach((option, optionIndex) => {
+            const isActive = optionIndex === this.activeIndex;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        });
+
+        const active = options[this.activeIndex];
+        this.input.setAttribute('aria-activedescendant', active.id);
+        if (scroll) {
+            active.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Close the palette and run a result
+     */
+    runResult(index) {
+        const command = this.results[index];
+        if (!command) return;
+
+        this.close();
+        command.run();
+    }
+
+    /**
+     * Expand an index.html item, navigating there first if needed
+     */
+    revealPortfolioItem(id) {
+        if (!window.portfolioRenderer) {
+            window.location.href = `${this.options.portfolioPage}#${encodeURIComponent(id)}`;
+            return;
+        }
+        window.portfolioManager.revealItem(id);
+    }
+
+    /**
+     * Highlight a Roblox entry, show its details or open its slideshow, navigating there first if needed
+     * @param {string} id - Entry id
+     * @param {string} target - "card", "details" or "slideshow"
+     */
+    revealRobloxEntry(id, target) {
+        const manager = window.robloxProjectsManager;
+        const found = manager ? manager.findEntry(id) : null;
+
+        if (!found) {
+            // Other page, or data not loaded yet: the hash router applies it on load
+            const suffix = { card: '', details: '/details', slideshow: '/slide/1' }[target];
+            window.location.href = `${this.options.robloxPage}#${encodeURIComponent(id)}${suffix}`;
+            return;
+        }
+
+        if (target === 'details') {
+            // Through the hash so the view gets a history entry like a clicked link
+            window.location.hash = manager.router.buildDetailsHash(id);
+        } else if (target === 'slideshow' && found.entry.media && found.entry.media.length > 0) {
+            manager.openSlideshow(found.entry.media, 0, id);
+        } else {
+            manager.router.highlightEntry(id);
+        }
+    }
+
+    /**
+     * Score how well a query matches text as an in-order subsequence
+     * Consecutive characters and matches at word starts score higher
+     * @param {string} query - Lowercase query term
+     * @param {string} text - Text to search
+     * @returns {number|null} Score, or null when the query is not a subsequence
+     */
+    static fuzzyScore(query, text) {
+        const haystack = String(text || '').toLowerCase();
+        let score = 0;
+        let position = -1;
+        let streak = 0;
+
+        for (const char of query) {
+            const index = haystack.indexOf(char, position + 1);
+            if (index === -1) return null;
+
+            if (index === position + 1) {
+                streak++;
+                score += 2 + streak;
+            } else {
+                streak = 0;
+                score += 1;
+            }
+            if (index === 0 || /[\s\-_/.·]/.test(haystack[index - 1])) {
+                score += 3;
+            }
+            position = index;
+        }
+
+        // Prefer tighter matches in shorter text
+        return score - haystack.length * 0.01;
+    }
+}
+
+CommandPalette.DEFAULT_OPTIONS = {
+    portfolioDataUrl: 'portfolio-data.json',
+    robloxDataUrl: 'roblox-data.json',
+    portfolioPage: 'index.html',
+    robloxPage: 'roblox.html',
+    maxResults: 50
+};
+
+CommandPalette.PAGE_STEP = 5; // Results moved by Page Up / Page Down
+
+// Initialize the command palette when script loads
+const commandPalette = new CommandPalette();
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommandPalette;
+}
+
+// Make available globally for debugging
+window.commandPalette = commandPalette;
@@ -0,0 +1,264 @@
+/**
+ * Interaction Event Bus
+ * One typed event stream shared by both pages, delivered to pluggable sinks (console, beacon, memory)
+ * Sinks that send data off the device are skipped when the browser asks not to be tracked
+ */
+class InteractionEventBus {
+    constructor(options = {}) {
+        this.options = { ...InteractionEventBus.DEFAULT_OPTIONS, ...options };
+        this.sinks = [];
+        this.pageViewId = InteractionEventBus.createId(); // Groups one page view's events; never stored
+    }
+
+    /**
+     * Add a sink
+     * @param {Object} sink - Has receive(event); remote sinks also set remote = true
+     * @returns {Object} The sink, for chaining in tests
+     */
+    addSink(sink) {
+        this.sinks.push(sink);
+        return sink;
+    }
+
+    /**
+     * Remove a sink, flushing anything it buffered
+     */
+    removeSink(sink) {
+        this.sinks = this.sinks.filter(item => item !== sink);
+        if (typeof sink.flush === 'function') {
+            sink.flush();
+        }
+    }
+
+    /**
+     * Emit a typed event
+     * @param {string} type - Key of InteractionEventBus.EVENTS
+     * @param {Object} data - The event's fields
+     * @returns {Object|null} The delivered event, or null if it was malformed
+     */
+    emit(type, data = {}) {
+        const fields = InteractionEventBus.EVENTS[type];
+        if (!fields) {
+            console.warn(`Unknown interaction event "${type}"`);
+            return null;
+        }
+
+        const missing = fields.filter(field => data[field] === undefined);
+        if (missing.length > 0) {
+            console.warn(`Interaction event "${type}" is missing ${missing.join(', ')}`);
+            return null;
+        }
+
+        const event = {
+            type,
+            ...data,
+            page: window.location.pathname,
+            pageViewId: this.pageViewId,
+            timestamp: Date.now()
+        };
+
+        const tracking = this.isTrackingAllowed();
+        this.sinks.forEach(sink => {
+            if (sink.remote && !tracking) return;
+
+            try {
+                sink.receive(event);
+            } catch (error) {
+                console.warn('Interaction event sink failed:', error);
+            }
+        });
+        return event;
+    }
+
+    /**
+     * Check the Do Not Track and Global Privacy Control signals
+     */
+    isTrackingAllowed() {
+        if (typeof this.options.doNotTrack === 'boolean') {
+            return !this.options.doNotTrack;
+        }
+
+        const signals = [navigator.doNotTrack, window.doNotTrack, navigator.msDoNotTrack];
+        if (signals.some(signal => signal === '1' || signal === 'yes')) return false;
+        return navigator.globalPrivacyControl !== true;
+    }
+
+    /**
+     * Create the page's bus from its markup and settings
+     * <meta name="analytics-endpoint"> adds a beacon sink; localStorage "khaleddev:debug-events" = "1" logs to the console
+     */
+    static createDefault() {
+        const bus = new InteractionEventBus();
+
+        const endpoint = document.querySelector('meta[name="analytics-endpoint"]');
+        if (endpoint && endpoint.content.trim()) {
+            bus.addSink(new BeaconSink(endpoint.content.trim()));
+        }
+
+        try {
+            if (localStorage.getItem(InteractionEventBus.DEBUG_KEY) === '1') {
+                bus.addSink(new ConsoleSink());
+            }
+        } catch (error) {
+            // Storage unavailable (e.g. private browsing)
+        }
+
+        return bus;
+    }
+
+    /**
+     * Create a random id
+     */
+    static createId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+}
+
+// Event type -> fields every event of that type must have (others are allowed)
+InteractionEventBus.EVENTS = {
+    'project.expanded': ['id', 'source'],
+    'slideshow.opened': ['entryId', 'index', 'count'],
+    'slideshow.closed': ['entryId', 'slidesViewed', 'duration'],
+    'slide.viewed': ['entryId', 'index', 'mediaType'],
+    'video.played': ['entryId', 'mediaUrl', 'provider'],
+    'video.paused': ['entryId', 'mediaUrl', 'provider', 'watchTime'],
+    'video.completed': ['entryId', 'mediaUrl', 'provider', 'watchTime'],
+    'link.clicked': ['entryId', 'url', 'kind']
+};
+
+InteractionEventBus.DEBUG_KEY = 'khaleddev:debug-events';
+
+InteractionEventBus.DEFAULT_OPTIONS = {
+    doNotTrack: null // true/false overrides the browser's signal, for tests
+};
+
+/**
+ * Console Sink
+ * Logs each event, for debugging
+ */
+class ConsoleSink {
+    receive(event) {
+        console.log(`[event] ${event.type}`, event);
+    }
+}
+
+/**
+ * Beacon Sink
+ * Buffers events and posts them in batches with navigator.sendBeacon, flushing when the page is hidden
+ */
+class BeaconSink {
+    /**
+     * @param {string} url - Collection endpoint; receives { events: [...] } as text/plain JSON
+     * @param {Object} options - Overrides for BeaconSink.DEFAULT_OPTIONS
+     */
+    constructor(url, options = {}) {
+        this.url = url;
+        this.options = { ...BeaconSink.DEFAULT_OPTIONS, ...options };
+        this.remote = true;
+        this.buffer = [];
+        this.timer = null;
+
+        this.handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        };
+        this.handlePageHide = () => this.flush();
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('pagehide', this.handlePageHide);
+    }
+
+    /**
+     * Buffer an event, sending once the batch is full or the interval passes
+     */
+    receive(event) {
+        this.buffer.push(event);
+
+        if (this.buffer.length >= this.options.batchSize) {
+            this.flush();
+        } else if (this.timer === null) {
+            this.timer = setTimeout(() => this.flush(), this.options.flushInterval);
+        }
+    }
+
+    /**
+     * Send everything buffered
+     * @returns {boolean} Whether the browser accepted the data
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.buffer.length === 0) return true;
+
+        const events = this.buffer;
+        this.buffer = [];
+
+        // text/plain keeps the request "simple", so cross-origin endpoints don't need a preflight
+        const body = JSON.stringify({ events });
+        if (navigator.sendBeacon && navigator.sendBeacon(this.url, new Blob([body], { type: 'text/plain;charset=UTF-8' }))) {
+            return true;
+        }
+
+        // The beacon queue is full or unsupported; keepalive fetch also survives the page closing
+        fetch(this.url, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain;charset=UTF-8' } })
+            .catch(error => console.warn('Could not send interaction events:', error));
+        return false;
+    }
+
+    /**
+     * Flush and stop listening for page lifecycle events
+     */
+    destroy() {
+        this.flush();
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('pagehide', this.handlePageHide);
+    }
+}
+
+BeaconSink.DEFAULT_OPTIONS = {
+    batchSize: 20, // Events per beacon; keeps payloads well under the browser's beacon limit
+    flushInterval: 10000 // Milliseconds to wait for a batch to fill
+};
+
+/**
+ * Memory Sink
+ * Keeps events in an array, for tests and for inspecting a session from the console
+ */
+class MemorySink {
+    constructor() {
+        this.events = [];
+    }
+
+    receive(event) {
+        this.events.push(event);
+    }
+
+    /**
+     * Get the recorded events, optionally only one type
+     */
+    getEvents(type = null) {
+        return type ? this.events.filter(event => event.type === type) : this.events.slice();
+    }
+
+    clear() {
+        this.events = [];
+    }
+}
+
+// Initialize the event bus when script loads
+const eventBus = InteractionEventBus.createDefault();
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InteractionEventBus, ConsoleSink, BeaconSink, MemorySink };
+}
+
+// Make available globally for debugging
+window.InteractionEventBus = InteractionEventBus;
+window.ConsoleSink = ConsoleSink;
+window.BeaconSink = BeaconSink;
+window.MemorySink = MemorySink;
+window.eventBus = eventBus;
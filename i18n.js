@@ -0,0 +1,731 @@
+/**
+ * Localisation
+ * UI string tables, per-language data fields (e.g. title_ar) and the persisted language switcher shared by both pages
+ */
+class I18n {
+    constructor(options = {}) {
+        this.strings = options.strings || I18n.STRINGS;
+        this.language = this.readStoredLanguage() || this.detectLanguage();
+        this.pluralRules = new Map();
+        this.applyToDocument();
+        this.init();
+    }
+
+    /**
+     * Translate static markup once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    /**
+     * Translate the page and render the language switcher
+     */
+    setup() {
+        this.translatePage();
+        this.renderSwitcher();
+    }
+
+    /**
+     * Get the current language code
+     */
+    getLanguage() {
+        return this.language;
+    }
+
+    /**
+     * Check whether the current language is written right to left
+     */
+    isRtl() {
+        return I18n.LANGUAGES[this.language].dir === 'rtl';
+    }
+
+    /**
+     * Get the languages that data files may provide translated fields for
+     * @returns {Array} Language codes other than the default
+     */
+    getTranslatedLanguages() {
+        return Object.keys(I18n.LANGUAGES).filter(language => language !== I18n.DEFAULT_LANGUAGE);
+    }
+
+    /**
+     * Look up a UI string
+     * Entries may be plain strings or plural forms keyed by Intl.PluralRules category
+     * @param {string} key - String key
+     * @param {Object} params - Values for {placeholders}; count also selects the plural form
+     * @returns {string} Translated string, falling back to English and then the key
+     */
+    t(key, params = {}) {
+        const table = this.strings[this.language] || {};
+        const fallbackTable = this.strings[I18n.DEFAULT_LANGUAGE] || {};
+        const usesFallback = table[key] === undefined;
+        let value = usesFallback ? fallbackTable[key] : table[key];
+
+        if (value === undefined) {
+            console.warn(`Missing string "${key}"`);
+            return key;
+        }
+
+        if (typeof value === 'object') {
+            const language = usesFallback ? I18n.DEFAULT_LANGUAGE : this.language;
+            const category = this.getPluralRules(language).select(params.count || 0);
+            value = value[category] !== undefined ? value[category] : value.other;
+        }
+
+        return value.replace(/\{(\w+)\}/g, (match, name) => (
+            params[name] !== undefined ? String(params[name]) : match
+        ));
+    }
+
+    /**
+     * Get a data field in the current language
+     * @param {Object} data - Entry, item or media object
+     * @param {string} field - Base field name (e.g. "title" reads "title_ar" in Arabic)
+     * @returns {*} The translated field if present, otherwise the base field
+     */
+    localize(data, field) {
+        if (!data) return undefined;
+
+        if (this.language !== I18n.DEFAULT_LANGUAGE) {
+            const translated = data[`${field}_${this.language}`];
+            if (translated !== undefined && translated !== null && translated !== '') {
+                return translated;
+            }
+        }
+
+        return data[field];
+    }
+
+    /**
+     * Format a data date in the current language at the precision it was written with
+     * @param {string} value - "YYYY", "YYYY-MM" or "YYYY-MM-DD"
+     * @param {Object} options - Intl.DateTimeFormat overrides
+     * @returns {string} Formatted date, or the raw value if it can't be parsed
+     */
+    formatDate(value, options = {}) {
+        const date = I18n.parseDate(value);
+        if (!date) return value || '';
+
+        const format = { year: 'numeric', timeZone: 'UTC' };
+        if (date.month) format.month = 'short';
+        if (date.day) format.day = 'numeric';
+
+        const time = Date.UTC(date.year, (date.month || 1) - 1, date.day || 1);
+        return new Intl.DateTimeFormat(this.language, { ...format, ...options }).format(time);
+    }
+
+    /**
+     * Format a count in the current language, e.g. "1.2K"
+     * @param {number} value - Number to format
+     * @param {Object} options - Intl.NumberFormat overrides
+     * @returns {string} Formatted number
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.language, {
+            notation: 'compact',
+            maximumFractionDigits: 1,
+            ...options
+        }).format(value);
+    }
+
+    /**
+     * Format a start/end pair such as "Mar 2024 – Present"
+     * @returns {string} Formatted range, or an empty string when neither date is set
+     */
+    formatDateRange(startDate, endDate) {
+        if (!startDate && !endDate) return '';
+        if (!startDate) return this.formatDate(endDate);
+        if (!endDate) return this.t('dates.ongoing', { start: this.formatDate(startDate) });
+        if (startDate === endDate) return this.formatDate(startDate);
+
+        return this.t('dates.range', { start: this.formatDate(startDate), end: this.formatDate(endDate) });
+    }
+
+    /**
+     * Switch language, persist the choice and let the page re-render
+     * @param {string} language - Language code from I18n.LANGUAGES
+     */
+    setLanguage(language) {
+        if (!I18n.LANGUAGES[language] || language === this.language) return;
+
+        this.language = language;
+        try {
+            localStorage.setItem(I18n.STORAGE_KEY, language);
+        } catch (error) {
+            // Storage unavailable; the choice lasts for this page view
+        }
+
+        this.applyToDocument();
+        this.translatePage();
+        this.renderSwitcher();
+
+        document.dispatchEvent(new CustomEvent('languagechange', { detail: { language } }));
+    }
+
+    /**
+     * Reflect the language in <html lang> and <html dir>
+     */
+    applyToDocument() {
+        document.documentElement.lang = this.language;
+        document.documentElement.dir = I18n.LANGUAGES[this.language].dir;
+    }
+
+    /**
+     * Translate static markup
+     * data-i18n="key" sets the text; data-i18n-attr="aria-label:key; placeholder:key" sets attributes
+     * @param {Element|Document} root - Where to look for marked elements
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+    }
+
+    /**
+     * Render a button per language into #language-switcher
+     */
+    renderSwitcher() {
+        const container = document.getElementById('language-switcher');
+        if (!container) return;
+
+        container.setAttribute('role', 'group');
+        container.setAttribute('aria-label', this.t('language.switcher'));
+
+        const buttons = Object.entries(I18n.LANGUAGES).map(([code, language]) => {
+            const button = SafeDom.create('button', {
+                className: 'language-option',
+                text: language.name,
+                attrs: { type: 'button', lang: code, 'aria-pressed': String(code === this.language) }
+            });
+            button.addEventListener('click', () => this.setLanguage(code));
+            return button;
+        });
+
+        container.replaceChildren(...buttons);
+    }
+
+    /**
+     * Read the saved language choice
+     */
+    readStoredLanguage() {
+        try {
+            const language = localStorage.getItem(I18n.STORAGE_KEY);
+            return I18n.LANGUAGES[language] ? language : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Pick the first supported language from the browser preferences
+     */
+    detectLanguage() {
+        const preferred = navigator.languages || [navigator.language || ''];
+        const match = preferred
+            .map(language => String(language).toLowerCase().split('-')[0])
+            .find(language => I18n.LANGUAGES[language]);
+        return match || I18n.DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Get cached plural rules for a language
+     */
+    getPluralRules(language) {
+        if (!this.pluralRules.has(language)) {
+            this.pluralRules.set(language, new Intl.PluralRules(language));
+        }
+        return this.pluralRules.get(language);
+    }
+
+    /**
+     * Parse a data date written as "YYYY", "YYYY-MM" or "YYYY-MM-DD"
+     * @param {string} value - Date from a data file
+     * @returns {Object|null} { year, month, day } with missing parts null, or null if malformed
+     */
+    static parseDate(value) {
+        if (typeof value !== 'string') return null;
+
+        const match = value.match(I18n.DATE_PATTERN);
+        if (!match) return null;
+
+        return {
+            year: parseInt(match[1], 10),
+            month: match[2] ? parseInt(match[2], 10) : null,
+            day: match[3] ? parseInt(match[3], 10) : null
+        };
+    }
+}
+
+// Dates in data files may be as precise as the author knows: a year, a month or a day
+I18n.DATE_PATTERN = /^(\d{4})(?:-(0[1-9]|1[0-2])(?:-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+I18n.DEFAULT_LANGUAGE = 'en';
+
+I18n.STORAGE_KEY = 'khaleddev:language';
+
+I18n.LANGUAGES = {
+    en: { name: 'English', dir: 'ltr' },
+    ar: { name: 'العربية', dir: 'rtl' }
+};
+
+I18n.STRINGS = {
+    en: {
+        'language.switcher': 'Language',
+        'expand.expand': 'Expand project details',
+        'expand.collapse': 'Collapse project details',
+
+        'index.pageTitle': 'KhaledDev_ Portfolio',
+        'index.subtitle': 'Data Analytics & Game Developer',
+        'index.description': 'Passionate developer creating innovative solutions in AI, Game Development, and Data Analytics',
+        'index.loadError': 'Failed to load projects. Please try refreshing the page.',
+
+        'offline.pageTitle': 'KhaledDev_ - Offline',
+        'offline.title': "You're offline",
+        'offline.message': "This page hasn't been saved for offline use yet. Pages you've visited before still open without a connection.",
+        'offline.retry': 'Try again',
+        'offline.home': 'Go to Portfolio',
+        'offline.roblox': 'Go to Roblox Projects',
+
+        'roblox.pageTitle': 'KhaledDev_ - Roblox Projects',
+        'roblox.back': 'Back to Portfolio',
+        'roblox.title': 'Roblox Projects',
+        'roblox.subtitle': 'Game Development & Commissions',
+        'roblox.description': 'Showcasing my Roblox development work including personal projects and client commissions',
+        'roblox.projects': 'Personal Projects',
+        'roblox.commissions': 'Client Commissions',
+        'roblox.viewGallery': 'View Gallery',
+        'roblox.keyFeatures': 'Key Features:',
+        'roblox.deliverables': 'Deliverables:',
+        'roblox.playGame': 'Play Game',
+        'roblox.client': 'Client: {client}',
+        'roblox.loadError': 'Failed to load project data. Please try refreshing the page.',
+        'roblox.entriesFailed': {
+            one: '{count} entry failed to load',
+            other: '{count} entries failed to load'
+        },
+        'list.loadMore': {
+            one: 'Load more ({count} remaining)',
+            other: 'Load more ({count} remaining)'
+        },
+
+        'inquiry.title': 'Start a Commission',
+        'inquiry.intro': 'Tell me about your game and what you need built. Pick a past commission if you want something similar.',
+        'inquiry.name': 'Name',
+        'inquiry.contact': 'Email or Discord',
+        'inquiry.budget': 'Budget',
+        'inquiry.budget.under100': 'Under $100',
+        'inquiry.budget.100to500': '$100 – $500',
+        'inquiry.budget.500to1500': '$500 – $1,500',
+        'inquiry.budget.over1500': '$1,500+',
+        'inquiry.budget.unsure': 'Not sure yet',
+        'inquiry.timeline': 'Timeline',
+        'inquiry.timeline.under2Weeks': 'Under 2 weeks',
+        'inquiry.timeline.month': 'About a month',
+        'inquiry.timeline.months': '2 – 3 months',
+        'inquiry.timeline.flexible': 'Flexible',
+        'inquiry.choose': 'Choose…',
+        'inquiry.similarTo': 'Similar to',
+        'inquiry.similarNone': 'Nothing specific',
+        'inquiry.description': 'Project description',
+        'inquiry.submit': 'Send inquiry',
+        'inquiry.reset': 'Clear',
+        'inquiry.requestSimilar': 'Request something similar',
+        'inquiry.draftSaved': 'Draft saved',
+        'inquiry.draftRestored': 'Draft restored',
+        'inquiry.error.required': 'This field is required.',
+        'inquiry.error.tooShort': 'Please write at least {min} characters.',
+        'inquiry.error.tooLong': 'Please keep this under {max} characters.',
+        'inquiry.error.email': 'That email address doesn\'t look right.',
+        'inquiry.status.invalid': 'Please fix the highlighted fields.',
+        'inquiry.status.sending': 'Sending…',
+        'inquiry.status.sent': 'Thanks! Your inquiry was sent. I\'ll get back to you soon.',
+        'inquiry.status.email': 'Your email app should open with the inquiry filled in.',
+        'inquiry.status.failed': 'Your inquiry couldn\'t be sent. Please try again later.',
+        'inquiry.openEmail': 'Open email',
+        'inquiry.emailSubject': 'Commission inquiry from {name}',
+
+        'compare.toggle': 'Compare',
+        'compare.tray': 'Entries selected for comparison',
+        'compare.open': 'Compare',
+        'compare.clear': 'Clear',
+        'compare.remove': 'Remove {title} from the comparison',
+        'compare.hintMore': 'Select at least {min} to compare',
+        'compare.hintMax': 'Up to {max} at a time',
+        'compare.title': 'Compare Projects',
+        'compare.close': 'Close comparison',
+        'compare.shared': 'In every entry',
+        'compare.unique': 'Only in one',
+        'compare.row.role': 'Role',
+        'compare.row.status': 'Status',
+        'compare.row.duration': 'Duration',
+        'compare.row.client': 'Client',
+        'compare.row.techStack': 'Tech Stack',
+        'compare.row.deliverables': 'Deliverables',
+        'compare.row.mediaCount': 'Media',
+
+        'stats.projects': 'Projects',
+        'stats.commissions': 'Commissions',
+        'stats.completed': 'Completed',
+        'stats.inDevelopment': 'In Development',
+        'stats.mediaItems': 'Media Items',
+        'stats.mostUsed': 'Most used',
+
+        'tech.category.language': 'Language',
+        'tech.category.engineService': 'Engine service',
+        'tech.category.library': 'Library',
+        'tech.category.tool': 'Tool',
+        'tech.category.topic': 'Topic',
+        'tech.category.other': 'Other',
+
+        'skills.title': 'Skills',
+        'skills.intro': 'Technologies across all projects. Choose one to see where it was used.',
+        'skills.chip': {
+            one: '{name}, used in {count} project',
+            other: '{name}, used in {count} projects'
+        },
+        'skills.projectsUsing': 'Projects using {name}',
+
+        'gameStats.visits': 'Visits',
+        'gameStats.favorites': 'Favorites',
+        'gameStats.playing': 'Playing',
+        'gameStats.live': 'Live stats',
+        'gameStats.snapshot': 'Stats as of {date}',
+        'gameStats.snapshotUndated': 'Stats snapshot',
+
+        'filters.search': 'Search projects and commissions',
+        'filters.clear': 'Clear filters',
+        'filters.groupLabel': 'Filter by {group}',
+        'filters.tech': 'Tech',
+        'filters.status': 'Status',
+        'filters.role': 'Role',
+        'filters.showing': 'Showing {shown} of {total} entries',
+        'filters.total': {
+            one: '{count} entry',
+            other: '{count} entries'
+        },
+        'filters.empty.projects': 'No projects match the current filters.',
+        'filters.empty.commissions': 'No commissions match the current filters.',
+        'filters.empty.timeline': 'No projects or commissions match the current filters.',
+        'filters.view': 'View',
+        'filters.viewGrid': 'Grid',
+        'filters.viewTimeline': 'Timeline',
+        'filters.sort': 'Sort by',
+        'filters.sortDefault': 'Featured',
+        'filters.sortDate': 'Most recent',
+        'filters.sortStatus': 'Status',
+        'filters.sortTitle': 'Title',
+
+        'dates.range': '{start} – {end}',
+        'dates.ongoing': '{start} – Present',
+
+        'timeline.title': 'Timeline',
+        'timeline.legend': 'Entry types',
+        'timeline.project': 'Project',
+        'timeline.commission': 'Commission',
+        'timeline.undated': 'Undated',
+
+        'roblox.viewDetails': 'View details',
+        'detail.back': 'All projects',
+        'detail.gallery': 'Gallery',
+        'detail.pager': 'More projects',
+        'detail.previous': 'Previous',
+        'detail.next': 'Next',
+
+        'slideshow.title': '{title} gallery',
+        'slideshow.defaultTitle': 'Media gallery',
+        'slideshow.close': 'Close gallery',
+        'slideshow.enterFullscreen': 'Enter fullscreen',
+        'slideshow.exitFullscreen': 'Exit fullscreen',
+        'slideshow.previous': 'Previous slide',
+        'slideshow.next': 'Next slide',
+        'slideshow.position': 'Slide {index} of {total}',
+
+        'carousel.previous': 'Previous media',
+        'carousel.next': 'Next media',
+        'carousel.show': 'Show media {index} of {total}',
+        'carousel.choose': 'Choose media',
+
+        'resume.label': 'Resume playback',
+        'resume.from': 'Resume from {time}',
+        'resume.startOver': 'Start over',
+
+        'media.embedTitle': 'Embedded video',
+        'media.galleryLabel': {
+            one: '{count} image',
+            other: '{count} images'
+        },
+
+        'palette.trigger': 'Search',
+        'palette.label': 'Search projects',
+        'palette.placeholder': 'Search projects and actions…',
+        'palette.results': 'Matching projects and actions',
+        'palette.loading': 'Loading projects…',
+        'palette.empty': 'No matching projects',
+        'palette.count': {
+            one: '{count} result',
+            other: '{count} results'
+        },
+        'palette.goTo': 'Go to {title}',
+        'palette.expand': 'Expand {title}',
+        'palette.details': 'View {title} details',
+        'palette.slideshow': 'Open {title} slideshow',
+        'palette.play': 'Play {title}',
+        'palette.hintNavigate': 'to navigate',
+        'palette.hintSelect': 'to select',
+        'palette.hintClose': 'to close'
+    },
+    ar: {
+        'language.switcher': 'اللغة',
+        'expand.expand': 'عرض تفاصيل المشروع',
+        'expand.collapse': 'إخفاء تفاصيل المشروع',
+
+        'index.pageTitle': 'ملف أعمال KhaledDev_',
+        'index.subtitle': 'محلل بيانات ومطور ألعاب',
+        'index.description': 'مطور شغوف يبتكر حلولًا في الذكاء الاصطناعي وتطوير الألعاب وتحليل البيانات',
+        'index.loadError': 'تعذر تحميل المشاريع. يرجى تحديث الصفحة.',
+
+        'offline.pageTitle': 'KhaledDev_ - غير متصل',
+        'offline.title': 'أنت غير متصل بالإنترنت',
+        'offline.message': 'لم يتم حفظ هذه الصفحة للاستخدام دون اتصال بعد. الصفحات التي زرتها من قبل ما زالت تفتح دون اتصال.',
+        'offline.retry': 'إعادة المحاولة',
+        'offline.home': 'الذهاب إلى ملف الأعمال',
+        'offline.roblox': 'الذهاب إلى مشاريع روبلوكس',
+
+        'roblox.pageTitle': 'KhaledDev_ - مشاريع روبلوكس',
+        'roblox.back': 'العودة إلى ملف الأعمال',
+        'roblox.title': 'مشاريع روبلوكس',
+        'roblox.subtitle': 'تطوير الألعاب والأعمال المخصصة',
+        'roblox.description': 'عرض لأعمالي في تطوير روبلوكس، من مشاريع شخصية وأعمال منفذة للعملاء',
+        'roblox.projects': 'مشاريع شخصية',
+        'roblox.commissions': 'أعمال العملاء',
+        'roblox.viewGallery': 'عرض المعرض',
+        'roblox.keyFeatures': 'أبرز الميزات:',
+        'roblox.deliverables': 'المخرجات:',
+        'roblox.playGame': 'العب الآن',
+        'roblox.client': 'العميل: {client}',
+        'roblox.loadError': 'تعذر تحميل بيانات المشاريع. يرجى تحديث الصفحة.',
+        'roblox.entriesFailed': {
+            zero: 'تعذر تحميل {count} عنصر',
+            one: 'تعذر تحميل عنصر واحد',
+            two: 'تعذر تحميل عنصرين',
+            few: 'تعذر تحميل {count} عناصر',
+            many: 'تعذر تحميل {count} عنصرًا',
+            other: 'تعذر تحميل {count} عنصر'
+        },
+        'list.loadMore': {
+            zero: 'عرض المزيد',
+            one: 'عرض المزيد (عنصر واحد متبقٍ)',
+            two: 'عرض المزيد (عنصران متبقيان)',
+            few: 'عرض المزيد ({count} عناصر متبقية)',
+            many: 'عرض المزيد ({count} عنصرًا متبقيًا)',
+            other: 'عرض المزيد ({count} عنصر متبقٍ)'
+        },
+
+        'inquiry.title': 'اطلب عملًا مخصصًا',
+        'inquiry.intro': 'أخبرني عن لعبتك وما تحتاج إلى بنائه. اختر عملًا سابقًا إذا كنت تريد شيئًا مشابهًا.',
+        'inquiry.name': 'الاسم',
+        'inquiry.contact': 'البريد الإلكتروني أو ديسكورد',
+        'inquiry.budget': 'الميزانية',
+        'inquiry.budget.under100': 'أقل من 100 دولار',
+        'inquiry.budget.100to500': '100 – 500 دولار',
+        'inquiry.budget.500to1500': '500 – 1,500 دولار',
+        'inquiry.budget.over1500': 'أكثر من 1,500 دولار',
+        'inquiry.budget.unsure': 'لم أحدد بعد',
+        'inquiry.timeline': 'المدة الزمنية',
+        'inquiry.timeline.under2Weeks': 'أقل من أسبوعين',
+        'inquiry.timeline.month': 'حوالي شهر',
+        'inquiry.timeline.months': '2 – 3 أشهر',
+        'inquiry.timeline.flexible': 'مرنة',
+        'inquiry.choose': 'اختر…',
+        'inquiry.similarTo': 'مشابه لـ',
+        'inquiry.similarNone': 'لا شيء محدد',
+        'inquiry.description': 'وصف المشروع',
+        'inquiry.submit': 'إرسال الطلب',
+        'inquiry.reset': 'مسح',
+        'inquiry.requestSimilar': 'اطلب عملًا مشابهًا',
+        'inquiry.draftSaved': 'تم حفظ المسودة',
+        'inquiry.draftRestored': 'تمت استعادة المسودة',
+        'inquiry.error.required': 'هذا الحقل مطلوب.',
+        'inquiry.error.tooShort': 'يرجى كتابة {min} حرفًا على الأقل.',
+        'inquiry.error.tooLong': 'يرجى ألا يتجاوز النص {max} حرف.',
+        'inquiry.error.email': 'يبدو أن عنوان البريد الإلكتروني غير صحيح.',
+        'inquiry.status.invalid': 'يرجى تصحيح الحقول المحددة.',
+        'inquiry.status.sending': 'جارٍ الإرسال…',
+        'inquiry.status.sent': 'شكرًا! تم إرسال طلبك وسأرد عليك قريبًا.',
+        'inquiry.status.email': 'سيُفتح تطبيق البريد لديك مع تعبئة الطلب.',
+        'inquiry.status.failed': 'تعذّر إرسال طلبك. يرجى المحاولة لاحقًا.',
+        'inquiry.openEmail': 'فتح البريد',
+        'inquiry.emailSubject': 'طلب عمل مخصص من {name}',
+
+        'compare.toggle': 'مقارنة',
+        'compare.tray': 'العناصر المحددة للمقارنة',
+        'compare.open': 'قارن',
+        'compare.clear': 'مسح',
+        'compare.remove': 'إزالة {title} من المقارنة',
+        'compare.hintMore': 'اختر {min} على الأقل للمقارنة',
+        'compare.hintMax': 'حتى {max} في المرة الواحدة',
+        'compare.title': 'مقارنة المشاريع',
+        'compare.close': 'إغلاق المقارنة',
+        'compare.shared': 'مشترك بين الجميع',
+        'compare.unique': 'في عنصر واحد فقط',
+        'compare.row.role': 'الدور',
+        'compare.row.status': 'الحالة',
+        'compare.row.duration': 'المدة',
+        'compare.row.client': 'العميل',
+        'compare.row.techStack': 'التقنيات',
+        'compare.row.deliverables': 'المخرجات',
+        'compare.row.mediaCount': 'الوسائط',
+
+        'stats.projects': 'المشاريع',
+        'stats.commissions': 'أعمال العملاء',
+        'stats.completed': 'مكتملة',
+        'stats.inDevelopment': 'قيد التطوير',
+        'stats.mediaItems': 'عناصر الوسائط',
+        'stats.mostUsed': 'الأكثر استخدامًا',
+
+        'tech.category.language': 'لغة برمجة',
+        'tech.category.engineService': 'خدمة المحرك',
+        'tech.category.library': 'مكتبة',
+        'tech.category.tool': 'أداة',
+        'tech.category.topic': 'مجال',
+        'tech.category.other': 'أخرى',
+
+        'skills.title': 'المهارات',
+        'skills.intro': 'التقنيات المستخدمة في جميع المشاريع. اختر واحدة لترى أين استُخدمت.',
+        'skills.chip': {
+            zero: '{name}، غير مستخدمة في أي مشروع',
+            one: '{name}، مستخدمة في مشروع واحد',
+            two: '{name}، مستخدمة في مشروعين',
+            few: '{name}، مستخدمة في {count} مشاريع',
+            many: '{name}، مستخدمة في {count} مشروعًا',
+            other: '{name}، مستخدمة في {count} مشروع'
+        },
+        'skills.projectsUsing': 'المشاريع التي تستخدم {name}',
+
+        'gameStats.visits': 'الزيارات',
+        'gameStats.favorites': 'المفضلة',
+        'gameStats.playing': 'يلعبون الآن',
+        'gameStats.live': 'إحصائيات مباشرة',
+        'gameStats.snapshot': 'الإحصائيات بتاريخ {date}',
+        'gameStats.snapshotUndated': 'لقطة من الإحصائيات',
+
+        'filters.search': 'ابحث في المشاريع وأعمال العملاء',
+        'filters.clear': 'مسح عوامل التصفية',
+        'filters.groupLabel': 'تصفية حسب {group}',
+        'filters.tech': 'التقنية',
+        'filters.status': 'الحالة',
+        'filters.role': 'الدور',
+        'filters.showing': 'عرض {shown} من أصل {total}',
+        'filters.total': {
+            zero: 'لا توجد عناصر',
+            one: 'عنصر واحد',
+            two: 'عنصران',
+            few: '{count} عناصر',
+            many: '{count} عنصرًا',
+            other: '{count} عنصر'
+        },
+        'filters.empty.projects': 'لا توجد مشاريع تطابق عوامل التصفية الحالية.',
+        'filters.empty.commissions': 'لا توجد أعمال تطابق عوامل التصفية الحالية.',
+        'filters.empty.timeline': 'لا توجد مشاريع أو أعمال تطابق عوامل التصفية الحالية.',
+        'filters.view': 'طريقة العرض',
+        'filters.viewGrid': 'شبكة',
+        'filters.viewTimeline': 'خط زمني',
+        'filters.sort': 'الترتيب حسب',
+        'filters.sortDefault': 'المميزة',
+        'filters.sortDate': 'الأحدث',
+        'filters.sortStatus': 'الحالة',
+        'filters.sortTitle': 'العنوان',
+
+        'dates.range': '{start} – {end}',
+        'dates.ongoing': '{start} – حتى الآن',
+
+        'timeline.title': 'الخط الزمني',
+        'timeline.legend': 'أنواع الإدخالات',
+        'timeline.project': 'مشروع',
+        'timeline.commission': 'عمل لعميل',
+        'timeline.undated': 'بدون تاريخ',
+
+        'roblox.viewDetails': 'عرض التفاصيل',
+        'detail.back': 'كل المشاريع',
+        'detail.gallery': 'المعرض',
+        'detail.pager': 'مشاريع أخرى',
+        'detail.previous': 'السابق',
+        'detail.next': 'التالي',
+
+        'slideshow.title': 'معرض {title}',
+        'slideshow.defaultTitle': 'معرض الوسائط',
+        'slideshow.close': 'إغلاق المعرض',
+        'slideshow.enterFullscreen': 'ملء الشاشة',
+        'slideshow.exitFullscreen': 'الخروج من ملء الشاشة',
+        'slideshow.previous': 'الشريحة السابقة',
+        'slideshow.next': 'الشريحة التالية',
+        'slideshow.position': 'الشريحة {index} من {total}',
+
+        'carousel.previous': 'الوسائط السابقة',
+        'carousel.next': 'الوسائط التالية',
+        'carousel.show': 'عرض الوسائط {index} من {total}',
+        'carousel.choose': 'اختيار الوسائط',
+
+        'resume.label': 'استئناف التشغيل',
+        'resume.from': 'استئناف من {time}',
+        'resume.startOver': 'البدء من جديد',
+
+        'media.embedTitle': 'فيديو مضمّن',
+        'media.galleryLabel': {
+            zero: 'لا توجد صور',
+            one: 'صورة واحدة',
+            two: 'صورتان',
+            few: '{count} صور',
+            many: '{count} صورة',
+            other: '{count} صورة'
+        },
+
+        'palette.trigger': 'بحث',
+        'palette.label': 'البحث في المشاريع',
+        'palette.placeholder': 'ابحث في المشاريع والإجراءات…',
+        'palette.results': 'المشاريع والإجراءات المطابقة',
+        'palette.loading': 'جارٍ تحميل المشاريع…',
+        'palette.empty': 'لا توجد مشاريع مطابقة',
+        'palette.count': {
+            zero: 'لا توجد نتائج',
+            one: 'نتيجة واحدة',
+            two: 'نتيجتان',
+            few: '{count} نتائج',
+            many: '{count} نتيجة',
+            other: '{count} نتيجة'
+        },
+        'palette.goTo': 'الانتقال إلى {title}',
+        'palette.expand': 'توسيع {title}',
+        'palette.details': 'عرض تفاصيل {title}',
+        'palette.slideshow': 'فتح عرض {title}',
+        'palette.play': 'لعب {title}',
+        'palette.hintNavigate': 'للتنقل',
+        'palette.hintSelect': 'للاختيار',
+        'palette.hintClose': 'للإغلاق'
+    }
+};
+
+// Initialize localisation before the page scripts render anything
+const i18n = new I18n();
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
+
+// Make available globally for debugging
+window.I18n = I18n;
+window.i18n = i18n;
@@ -0,0 +1,393 @@
+/**
+ * Portfolio Sections Renderer
+ * Builds the index.html project sections from portfolio-data.json
+ */
+class PortfolioRenderer {
+    constructor() {
+        this.sections = [];
+        this.init();
+    }
+
+    /**
+     * Initialize the portfolio renderer
+     */
+    async init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            await this.setup();
+        }
+    }
+
+    /**
+     * Set up the renderer
+     */
+    async setup() {
+        try {
+            await this.loadPortfolioData();
+            this.renderSections();
+            document.addEventListener('languagechange', () => this.renderSections());
+
+            // Links such as index.html#brawlbeam expand that project
+            window.addEventListener('hashchange', () => this.revealHashTarget());
+            this.revealHashTarget();
+        } catch (error) {
+            console.error('Failed to setup portfolio sections:', error);
+            this.showErrorMessage();
+        }
+    }
+
+    /**
+     * Load section data from JSON file
+     */
+    async loadPortfolioData() {
+        try {
+            const [response] = await Promise.all([fetch('portfolio-data.json'), techTaxonomy.load()]);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            this.sections = data.sections || [];
+            this.sections.forEach(section => {
+                (section.items || []).forEach(item => {
+                    if (item.techTags) {
+                        item.techTags = techTaxonomy.canonicalize(item.techTags);
+                    }
+                });
+            });
+            console.log(`Loaded ${this.sections.length} portfolio sections`);
+        } catch (error) {
+            console.error('Error loading portfolio data:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Render all sections into the main content area
+     */
+    renderSections() {
+        const container = document.getElementById('portfolio-sections');
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.sections.forEach(section => {
+            container.appendChild(this.createSectionElement(section));
+        });
+
+        // Items must be in the document before PortfolioManager can track them
+        this.registerExpandableItems(container);
+    }
+
+    /**
+     * Create a section element
+     */
+    createSectionElement(section) {
+        const sectionElement = document.createElement('section');
+        sectionElement.className = `projects-section ${section.id}`;
+
+        if (section.accent) {
+            if (section.accent.border) {
+                sectionElement.style.setProperty('--section-accent', section.accent.border);
+            }
+            if (section.accent.icon) {
+                sectionElement.style.setProperty('--section-icon-color', section.accent.icon);
+            }
+        }
+
+        const title = document.createElement('h2');
+        title.className = 'section-title';
+        title.appendChild(this.createIcon(section.icon));
+        title.appendChild(document.createTextNode(i18n.localize(section, 'title')));
+        sectionElement.appendChild(title);
+
+        const layout = section.layout || 'list';
+        const itemsContainer = document.createElement('div');
+        itemsContainer.className = layout === 'card' ? 'projects-grid' : 'projects-list';
+
+        (section.items || []).forEach(item => {
+            const itemElement = (item.layout || layout) === 'card'
+                ? this.createCardElement(item)
+                : this.createListItemElement(item);
+            itemsContainer.appendChild(itemElement);
+        });
+        sectionElement.appendChild(itemsContainer);
+
+        if (section.footer) {
+            sectionElement.appendChild(this.createSectionFooter(section.footer));
+        }
+
+        return sectionElement;
+    }
+
+    /**
+     * Create a project card (used by the current projects grid)
+     */
+    createCardElement(item) {
+        const card = document.createElement('div');
+        card.className = 'project-card current';
+        card.setAttribute('data-project-id', item.id);
+
+        const expandable = this.isExpandable(item, 'card');
+        const main = expandable ? document.createElement('div') : card;
+        if (expandable) {
+            card.classList.add('expandable');
+            card.setAttribute('data-expandable', 'true');
+            main.className = 'project-card-main';
+            card.appendChild(main);
+        }
+
+        const title = document.createElement('h3');
+        title.textContent = i18n.localize(item, 'name');
+        main.appendChild(title);
+
+        const dates = this.createDateRange(item);
+        if (dates) {
+            main.appendChild(dates);
+        }
+
+        if (item.description) {
+            const description = document.createElement('p');
+            description.textContent = i18n.localize(item, 'description');
+            main.appendChild(description);
+        }
+
+        if (item.techTags && item.techTags.length > 0) {
+            const techStack = document.createElement('div');
+            techStack.className = 'tech-stack';
+            item.techTags.forEach(tag => techStack.appendChild(this.createTechTag(tag)));
+            main.appendChild(techStack);
+        }
+
+        if (item.url) {
+            const link = document.createElement('a');
+            SafeDom.setAttribute(link, 'href', item.url);
+            link.target = '_blank';
+            link.className = 'project-link';
+            link.appendChild(this.createIcon('fas fa-external-link-alt'));
+            main.appendChild(link);
+        }
+
+        if (expandable) {
+            main.appendChild(this.createExpandButton('expand-btn card-expand-btn'));
+
+            const details = document.createElement('div');
+            details.className = 'project-card-details';
+            details.appendChild(this.createSecondaryLinks(item.links));
+            card.appendChild(details);
+        }
+
+        return card;
+    }
+
+    /**
+     * Create a project list row (used by every other section)
+     */
+    createListItemElement(item) {
+        const row = document.createElement('div');
+        row.className = 'project-item';
+        row.setAttribute('data-project-id', item.id);
+
+        const expandable = this.isExpandable(item, 'list');
+        const main = expandable ? document.createElement('div') : row;
+        if (expandable) {
+            row.classList.add('expandable');
+            row.setAttribute('data-expandable', 'true');
+            main.className = 'project-main';
+            row.appendChild(main);
+        }
+
+        let name;
+        if (item.url) {
+            name = document.createElement('a');
+            SafeDom.setAttribute(name, 'href', item.url);
+            name.target = '_blank';
+        } else {
+            name = document.createElement('span');
+        }
+        name.className = 'project-name';
+        name.textContent = i18n.localize(item, 'name');
+        main.appendChild(name);
+
+        if (item.role) {
+            const role = document.createElement('span');
+            role.className = 'project-role';
+            role.textContent = i18n.localize(item, 'role');
+            main.appendChild(role);
+        }
+
+        const dates = this.createDateRange(item);
+        if (dates) {
+            main.appendChild(dates);
+        }
+
+        (i18n.localize(item, 'statuses') || []).forEach(status => {
+            const statusSpan = document.createElement('span');
+            statusSpan.className = 'project-status';
+            statusSpan.textContent = status;
+            main.appendChild(statusSpan);
+        });
+
+        (item.techTags || []).forEach(tag => main.appendChild(this.createTechTag(tag)));
+
+        if (expandable) {
+            main.appendChild(this.createExpandButton('expand-btn'));
+
+            const details = document.createElement('div');
+            details.className = 'project-details';
+
+            if (item.description) {
+                const description = document.createElement('p');
+                description.className = 'project-description';
+                description.textContent = i18n.localize(item, 'description');
+                details.appendChild(description);
+            }
+
+            if (item.links && item.links.length > 0) {
+                details.appendChild(this.createSecondaryLinks(item.links));
+            }
+            row.appendChild(details);
+        }
+
+        return row;
+    }
+
+    /**
+     * Cards expand only for secondary links; list rows also expand to show a description
+     */
+    isExpandable(item, layout) {
+        const hasLinks = Boolean(item.links && item.links.length > 0);
+        return layout === 'card' ? hasLinks : hasLinks || Boolean(item.description);
+    }
+
+    /**
+     * Create the secondary links row shown in expanded details
+     */
+    createSecondaryLinks(links = []) {
+        const container = document.createElement('div');
+        container.className = 'secondary-links';
+
+        links.forEach(link => {
+            const linkElement = document.createElement('a');
+            SafeDom.setAttribute(linkElement, 'href', link.url);
+            linkElement.target = '_blank';
+            linkElement.className = 'secondary-link';
+            linkElement.appendChild(this.createIcon(link.icon || 'fas fa-external-link-alt'));
+            linkElement.appendChild(document.createTextNode(i18n.localize(link, 'text')));
+            container.appendChild(linkElement);
+        });
+
+        return container;
+    }
+
+    /**
+     * Create the "view more" footer at the bottom of a section
+     */
+    createSectionFooter(footer) {
+        const footerElement = document.createElement('div');
+        footerElement.className = 'section-footer';
+
+        const link = document.createElement('a');
+        SafeDom.setAttribute(link, 'href', footer.url);
+        link.className = 'view-more-link';
+        link.appendChild(this.createIcon(footer.icon || 'fas fa-arrow-right'));
+
+        const text = document.createElement('span');
+        text.textContent = i18n.localize(footer, 'text');
+        link.appendChild(text);
+
+        footerElement.appendChild(link);
+        return footerElement;
+    }
+
+    /**
+     * Create an expand/collapse button
+     */
+    createExpandButton(className) {
+        const button = document.createElement('button');
+        button.className = className;
+        button.setAttribute('aria-label', i18n.t('expand.expand'));
+        button.appendChild(this.createIcon('fas fa-chevron-down'));
+        return button;
+    }
+
+    /**
+     * Create the "Mar 2024 – Present" label for an item's startDate/endDate
+     * @returns {Element|null} Date label, or null if the item has no dates
+     */
+    createDateRange(item) {
+        const text = i18n.formatDateRange(item.startDate, item.endDate);
+        if (!text) return null;
+
+        const dates = document.createElement('span');
+        dates.className = 'project-dates';
+        dates.textContent = text;
+        return dates;
+    }
+
+    /**
+     * Create a tech tag
+     */
+    createTechTag(tag) {
+        return techTaxonomy.createTag(tag);
+    }
+
+    /**
+     * Create a Font Awesome icon element
+     */
+    createIcon(iconClass) {
+        return SafeDom.icon(iconClass);
+    }
+
+    /**
+     * Register rendered expandable items with the portfolio manager
+     */
+    registerExpandableItems(container) {
+        if (!window.portfolioManager) return;
+
+        container.querySelectorAll('.expandable[data-expandable="true"]').forEach(item => {
+            window.portfolioManager.addExpandableItem(item);
+        });
+    }
+
+    /**
+     * Expand the project named by the location hash
+     */
+    revealHashTarget() {
+        let id;
+        try {
+            id = decodeURIComponent(window.location.hash.replace(/^#/, ''));
+        } catch (error) {
+            return;
+        }
+
+        if (id && window.portfolioManager && !window.portfolioManager.revealItem(id)) {
+            console.warn(`No project with id "${id}"`);
+        }
+    }
+
+    /**
+     * Show error message
+     */
+    showErrorMessage() {
+        const container = document.getElementById('portfolio-sections');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div style="text-align: center; padding: 2rem; color: var(--text-muted);">
+                <i class="fas fa-exclamation-triangle" style="font-size: 3rem; margin-bottom: 1rem;"></i>
+                <p>${SafeDom.escapeHtml(i18n.t('index.loadError'))}</p>
+            </div>
+        `;
+    }
+}
+
+// Initialize the portfolio renderer
+const portfolioRenderer = new PortfolioRenderer();
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortfolioRenderer;
+}
+
+// Make available globally for debugging
+window.portfolioRenderer = portfolioRenderer;
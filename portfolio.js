@@ -131,7 +131,7 @@ class PortfolioManager {
         
         if (expandBtn) {
             expandBtn.setAttribute('aria-expanded', 'true');
-            expandBtn.setAttribute('aria-label', 'Collapse project details');
+            expandBtn.setAttribute('aria-label', i18n.t('expand.collapse'));
         }
 
         // Scroll item into view if needed
@@ -139,6 +139,7 @@ class PortfolioManager {
         
         // Trigger custom event
         this.dispatchCustomEvent('projectExpanded', item);
+        eventBus.emit('project.expanded', { id: item.getAttribute('data-project-id'), source: 'portfolio' });
     }
 
     /**
@@ -152,7 +153,7 @@ class PortfolioManager {
         
         if (expandBtn) {
             expandBtn.setAttribute('aria-expanded', 'false');
-            expandBtn.setAttribute('aria-label', 'Expand project details');
+            expandBtn.setAttribute('aria-label', i18n.t('expand.expand'));
         }
 
         // Trigger custom event
@@ -181,6 +182,25 @@ class PortfolioManager {
         });
     }
 
+    /**
+     * Expand a project by id, or just scroll to it if it has nothing to expand
+     * @param {string} id - The item's data-project-id
+     * @returns {boolean} Whether the item was found
+     */
+    revealItem(id) {
+        const item = Array.from(document.querySelectorAll('[data-project-id]'))
+            .find(element => element.getAttribute('data-project-id') === id);
+        if (!item) return false;
+
+        this.collapseAll();
+        if (item.matches('.expandable[data-expandable="true"]')) {
+            this.expandItem(item);
+        } else {
+            this.scrollIntoViewIfNeeded(item);
+        }
+        return true;
+    }
+
     /**
      * Scroll item into view if it's not fully visible
      * @param {Element} item - The item to scroll into view
@@ -0,0 +1,179 @@
+/**
+ * Roblox Interaction Tracker
+ * Reports slideshow, slide, video and outbound link interactions on the Roblox page to the event bus
+ */
+class RobloxInteractionTracker {
+    constructor(manager, bus = eventBus) {
+        this.manager = manager;
+        this.bus = bus;
+        this.players = new WeakMap(); // Player -> { startedAt, watchTime }
+        this.slideshow = null; // { entryId, openedAt, viewed: Set, lastIndex } while open
+    }
+
+    /**
+     * Listen for outbound link clicks anywhere on the page
+     */
+    setup() {
+        const handleClick = (event) => {
+            // Middle clicks open links too; other buttons don't
+            if (event.type === 'auxclick' && event.button !== 1) return;
+
+            const link = event.target.closest('a[target="_blank"][href]');
+            if (link) {
+                this.trackLink(link);
+            }
+        };
+        document.addEventListener('click', handleClick);
+        document.addEventListener('auxclick', handleClick);
+    }
+
+    /**
+     * Report an outbound link belonging to an entry
+     */
+    trackLink(link) {
+        const entryId = this.getEntryIdFor(link);
+        if (!entryId) return;
+
+        const found = this.manager.findEntry(entryId);
+        const url = link.getAttribute('href');
+        this.bus.emit('link.clicked', {
+            entryId,
+            url,
+            kind: found && found.entry.gameUrl === url ? 'play' : 'secondary'
+        });
+    }
+
+    /**
+     * Report an entry's details being opened
+     */
+    onDetailsOpened(id) {
+        this.bus.emit('project.expanded', { id, source: 'details' });
+    }
+
+    /**
+     * Start a slideshow session and report its first slide
+     */
+    onSlideshowOpened() {
+        // Opening another gallery over an open one ends the first session
+        this.onSlideshowClosed();
+
+        this.slideshow = {
+            entryId: this.manager.currentEntryId,
+            openedAt: Date.now(),
+            viewed: new Set(),
+            lastIndex: null
+        };
+        this.bus.emit('slideshow.opened', {
+            entryId: this.slideshow.entryId,
+            index: this.manager.currentSlideIndex,
+            count: this.manager.slideshowMedia.length
+        });
+        this.onSlideChanged();
+    }
+
+    /**
+     * Report the slide being shown, once per change
+     */
+    onSlideChanged() {
+        const index = this.manager.currentSlideIndex;
+        if (!this.slideshow || this.slideshow.lastIndex === index) return;
+
+        const media = this.manager.slideshowMedia[index];
+        this.slideshow.lastIndex = index;
+        this.slideshow.viewed.add(index);
+        this.bus.emit('slide.viewed', {
+            entryId: this.slideshow.entryId,
+            index,
+            mediaType: media ? media.type : null
+        });
+    }
+
+    /**
+     * End the slideshow session with how much of it was seen
+     */
+    onSlideshowClosed() {
+        if (!this.slideshow) return;
+
+        this.bus.emit('slideshow.closed', {
+            entryId: this.slideshow.entryId,
+            slidesViewed: this.slideshow.viewed.size,
+            duration: Math.round((Date.now() - this.slideshow.openedAt) / 1000)
+        });
+        this.slideshow = null;
+    }
+
+    /**
+     * Report a player's plays, pauses and completion with the time spent watching
+     * @param {Element} player - Managed <video> or embed that dispatches play/pause/ended
+     */
+    trackPlayer(player) {
+        if (this.players.has(player)) return;
+        this.players.set(player, { startedAt: null, watchTime: 0 });
+
+        const stopClock = () => {
+            const state = this.players.get(player);
+            if (state.startedAt !== null) {
+                state.watchTime += (performance.now() - state.startedAt) / 1000;
+                state.startedAt = null;
+            }
+            return Math.round(state.watchTime * 10) / 10;
+        };
+
+        player.addEventListener('play', () => {
+            const state = this.players.get(player);
+            if (state.startedAt !== null) return;
+
+            state.startedAt = performance.now();
+            this.bus.emit('video.played', {
+                ...this.describePlayer(player),
+                position: Number.isFinite(player.currentTime) ? Math.round(player.currentTime) : null
+            });
+        });
+
+        player.addEventListener('pause', () => {
+            // Videos also fire pause when they end; that's reported as completed
+            if (player.ended) return;
+            if (this.players.get(player).startedAt === null) return;
+
+            this.bus.emit('video.paused', { ...this.describePlayer(player), watchTime: stopClock() });
+        });
+
+        player.addEventListener('ended', () => {
+            this.bus.emit('video.completed', { ...this.describePlayer(player), watchTime: stopClock() });
+        });
+    }
+
+    /**
+     * Get the fields that identify a player's media
+     */
+    describePlayer(player) {
+        const src = player.currentSrc || player.getAttribute('src') || '';
+        return {
+            entryId: this.getEntryIdFor(player),
+            // Embed URLs carry player parameters that aren't part of the media's identity
+            mediaUrl: src.split('?')[0],
+            provider: player.getAttribute('data-media-player') || 'unknown'
+        };
+    }
+
+    /**
+     * Find the entry an element belongs to: its card or timeline item, the slideshow or the detail view
+     * @returns {string|null} Entry id
+     */
+    getEntryIdFor(element) {
+        const item = element.closest('[data-project-id]');
+        if (item) return item.getAttribute('data-project-id');
+
+        if (element.closest('#slideshow-modal')) return this.manager.currentEntryId;
+        if (element.closest('#project-detail')) return this.manager.detailView.currentId;
+        return null;
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RobloxInteractionTracker;
+}
+
+// Make available globally for debugging
+window.RobloxInteractionTracker = RobloxInteractionTracker;
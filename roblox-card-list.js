@@ -0,0 +1,216 @@
+/**
+ * Incremental Card List
+ * Renders a projects or commissions list a chunk at a time: the first chunk straight away,
+ * later chunks as skeleton placeholders near the viewport, with a "Load more" button as the fallback
+ */
+class IncrementalCardList {
+    /**
+     * @param {RobloxProjectsManager} manager - Page manager that creates the cards
+     * @param {string} containerId - Id of the list container
+     * @param {string} type - "project" or "commission"
+     * @param {Object} options - Overrides for IncrementalCardList.DEFAULT_OPTIONS
+     */
+    constructor(manager, containerId, type, options = {}) {
+        this.manager = manager;
+        this.containerId = containerId;
+        this.type = type;
+        this.options = { ...IncrementalCardList.DEFAULT_OPTIONS, ...options };
+        this.entries = [];
+        this.renderedCount = 0;
+        this.observer = null;
+        this.frame = null;
+        this.footer = null;
+    }
+
+    /**
+     * Get the list container
+     */
+    getContainer() {
+        return document.getElementById(this.containerId);
+    }
+
+    /**
+     * Replace the list with new entries, rendering the first chunk now
+     * @param {Array} entries - Entries in display order
+     */
+    render(entries) {
+        this.clear();
+        this.entries = entries;
+        this.renderChunk();
+    }
+
+    /**
+     * Remove every card and stop watching for more
+     */
+    clear() {
+        this.stopWatching();
+
+        const container = this.getContainer();
+        if (container) {
+            this.manager.destroyPreviewCarousels(container);
+            container.innerHTML = '';
+        }
+
+        this.entries = [];
+        this.renderedCount = 0;
+        this.footer = null;
+    }
+
+    /**
+     * Render the next chunk of cards and update the placeholders
+     * @returns {Element|null} The first card rendered, if any
+     */
+    renderChunk() {
+        const container = this.getContainer();
+        if (!container) return null;
+
+        const chunk = this.entries.slice(this.renderedCount, this.renderedCount + this.options.chunkSize);
+        const fragment = document.createDocumentFragment();
+        chunk.forEach(entry => {
+            const allEntries = this.type === 'project' ? this.manager.projects : this.manager.commissions;
+            fragment.appendChild(this.manager.createProjectElement(entry, this.type, allEntries.indexOf(entry)));
+        });
+
+        const cards = Array.from(fragment.children);
+        if (this.footer) {
+            container.insertBefore(fragment, this.footer[0]);
+        } else {
+            container.appendChild(fragment);
+        }
+        this.renderedCount += chunk.length;
+
+        // Only cards that exist are watched, so the observer grows with what's been scrolled to
+        cards.forEach(card => this.manager.observeMediaItems(card));
+
+        this.renderFooter(container);
+        return cards[0] || null;
+    }
+
+    /**
+     * Render chunks until an entry's card exists (for deep links and the command palette)
+     * @param {string} id - Entry id
+     * @returns {boolean} Whether the entry is in this list
+     */
+    renderUntil(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) return false;
+
+        while (this.renderedCount <= index) {
+            this.renderChunk();
+        }
+        return true;
+    }
+
+    /**
+     * Show skeletons and a "Load more" button for the entries not rendered yet
+     */
+    renderFooter(container) {
+        if (this.footer) {
+            this.footer.forEach(element => element.remove());
+            this.footer = null;
+        }
+        this.stopWatching();
+
+        const remaining = this.entries.length - this.renderedCount;
+        if (remaining <= 0) return;
+
+        const skeletons = Array.from({ length: Math.min(remaining, this.options.skeletonCount) }, () => (
+            SafeDom.create('div', {
+                className: 'project-skeleton',
+                attrs: { 'aria-hidden': 'true' },
+                children: [
+                    SafeDom.create('div', { className: 'skeleton-media' }),
+                    SafeDom.create('div', {
+                        className: 'skeleton-body',
+                        children: ['title', 'line', 'line', 'line-short'].map(kind => (
+                            SafeDom.create('span', { className: `skeleton-${kind}` })
+                        ))
+                    })
+                ]
+            })
+        ));
+
+        const loadMoreButton = SafeDom.create('button', {
+            className: 'load-more-btn',
+            attrs: { type: 'button' },
+            children: [SafeDom.icon('fas fa-chevron-down'), i18n.t('list.loadMore', { count: remaining })]
+        });
+        loadMoreButton.addEventListener('click', () => this.loadMore());
+
+        this.footer = [
+            ...skeletons,
+            SafeDom.create('div', { className: 'load-more', children: [loadMoreButton] })
+        ];
+        SafeDom.append(container, this.footer);
+
+        this.watch(skeletons[0]);
+    }
+
+    /**
+     * Render the next chunk from the button, keeping keyboard focus in the list
+     */
+    loadMore() {
+        const firstCard = this.renderChunk();
+        const hasMore = this.renderedCount < this.entries.length;
+
+        if (!hasMore && firstCard) {
+            // The button is gone, so move focus to the first new card
+            const link = firstCard.querySelector('.project-details-link');
+            if (link) {
+                link.focus();
+            }
+        } else if (hasMore) {
+            const button = this.getContainer().querySelector('.load-more-btn');
+            if (button) {
+                button.focus();
+            }
+        }
+    }
+
+    /**
+     * Render the next chunk when the first skeleton approaches the viewport
+     */
+    watch(sentinel) {
+        if (!sentinel || !('IntersectionObserver' in window)) return;
+
+        this.observer = new IntersectionObserver(entries => {
+            if (!entries.some(entry => entry.isIntersecting) || this.frame !== null) return;
+
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.renderChunk();
+            });
+        }, {
+            rootMargin: this.options.rootMargin
+        });
+        this.observer.observe(sentinel);
+    }
+
+    /**
+     * Disconnect the observer and cancel a pending chunk
+     */
+    stopWatching() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+}
+
+IncrementalCardList.DEFAULT_OPTIONS = {
+    chunkSize: 6, // Cards rendered at a time
+    skeletonCount: 2, // Placeholders shown below the rendered cards
+    rootMargin: '0px 0px 800px 0px' // Start rendering this far before the placeholders scroll into view
+};
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IncrementalCardList;
+}
+
+// Make available globally for debugging
+window.IncrementalCardList = IncrementalCardList;
@@ -0,0 +1,252 @@
+/**
+ * Card Preview Carousel
+ * Cycles a card's media preview with prev/next arrows and dots, pausing while the viewer is looking at or playing something
+ */
+class PreviewCarousel {
+    /**
+     * @param {RobloxProjectsManager} manager - Page manager used to render media
+     * @param {Element} mediaPreview - The card's .media-preview element
+     * @param {Array} mediaArray - Media items to cycle through
+     * @param {Object} options - Overrides for PreviewCarousel.DEFAULT_OPTIONS
+     */
+    constructor(manager, mediaPreview, mediaArray, options = {}) {
+        this.manager = manager;
+        this.mediaPreview = mediaPreview;
+        this.mediaArray = mediaArray;
+        this.options = { ...PreviewCarousel.DEFAULT_OPTIONS, ...options };
+        this.currentIndex = 0;
+        this.timer = null;
+        this.pauseReasons = new Set(); // Why auto-advance is held: hover, focus, video, offscreen
+        this.observer = null;
+        this.listeners = [];
+        this.dots = [];
+    }
+
+    /**
+     * Render the controls and start auto-advancing
+     */
+    setup() {
+        this.mediaItem = this.mediaPreview.querySelector('.media-item');
+        this.currentMediaSpan = this.mediaPreview.querySelector('.current-media');
+
+        this.renderControls();
+        this.bindEvents();
+        this.schedule();
+    }
+
+    /**
+     * Add the arrow buttons and dot navigation to the preview
+     */
+    renderControls() {
+        const total = this.mediaArray.length;
+
+        const prevBtn = SafeDom.create('button', {
+            className: 'carousel-nav carousel-prev',
+            attrs: { type: 'button', 'aria-label': i18n.t('carousel.previous') },
+            children: [SafeDom.icon('fas fa-chevron-left')]
+        });
+        const nextBtn = SafeDom.create('button', {
+            className: 'carousel-nav carousel-next',
+            attrs: { type: 'button', 'aria-label': i18n.t('carousel.next') },
+            children: [SafeDom.icon('fas fa-chevron-right')]
+        });
+        prevBtn.addEventListener('click', () => this.previous());
+        nextBtn.addEventListener('click', () => this.next());
+
+        this.dots = this.mediaArray.map((media, index) => {
+            const dot = SafeDom.create('button', {
+                className: 'carousel-dot',
+                attrs: { type: 'button', 'aria-label': i18n.t('carousel.show', { index: index + 1, total }) }
+            });
+            dot.addEventListener('click', () => this.goTo(index));
+            return dot;
+        });
+
+        this.controls = [
+            prevBtn,
+            nextBtn,
+            SafeDom.create('div', {
+                className: 'carousel-dots',
+                attrs: { role: 'group', 'aria-label': i18n.t('carousel.choose') },
+                children: this.dots
+            })
+        ];
+        SafeDom.append(this.mediaPreview, this.controls);
+        this.updateIndicators();
+    }
+
+    /**
+     * Listen for the things that should hold auto-advance
+     */
+    bindEvents() {
+        this.listen(this.mediaPreview, 'mouseenter', () => this.hold('hover'));
+        this.listen(this.mediaPreview, 'mouseleave', () => this.release('hover'));
+        this.listen(this.mediaPreview, 'focusin', () => this.hold('focus'));
+        this.listen(this.mediaPreview, 'focusout', (e) => {
+            if (!this.mediaPreview.contains(e.relatedTarget)) {
+                this.release('focus');
+            }
+        });
+
+        // Media events don't bubble, so catch them on the way down
+        this.listen(this.mediaPreview, 'play', () => this.hold('video'), true);
+        this.listen(this.mediaPreview, 'pause', () => this.release('video'), true);
+        this.listen(this.mediaPreview, 'ended', () => this.release('video'), true);
+
+        this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        if (this.motionQuery && this.motionQuery.addEventListener) {
+            this.listen(this.motionQuery, 'change', () => this.schedule());
+        }
+
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.release('offscreen');
+                    } else {
+                        this.hold('offscreen');
+                    }
+                });
+            });
+            this.observer.observe(this.mediaPreview);
+        }
+    }
+
+    /**
+     * Add an event listener that destroy() will remove
+     */
+    listen(target, type, handler, capture = false) {
+        target.addEventListener(type, handler, capture);
+        this.listeners.push({ target, type, handler, capture });
+    }
+
+    /**
+     * Hold auto-advance for a reason
+     */
+    hold(reason) {
+        this.pauseReasons.add(reason);
+        this.clearTimer();
+    }
+
+    /**
+     * Release a hold and resume auto-advance if nothing else holds it
+     */
+    release(reason) {
+        if (!this.pauseReasons.delete(reason)) return;
+        this.schedule();
+    }
+
+    /**
+     * Check whether the carousel may advance by itself
+     */
+    canAutoAdvance() {
+        if (this.mediaArray.length < 2 || this.pauseReasons.size > 0) return false;
+        return !(this.motionQuery && this.motionQuery.matches);
+    }
+
+    /**
+     * Restart the countdown to the next slide
+     */
+    schedule() {
+        this.clearTimer();
+        if (!this.canAutoAdvance()) return;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.next();
+        }, this.options.interval);
+    }
+
+    /**
+     * Stop the countdown
+     */
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Show the next media item
+     */
+    next() {
+        this.goTo((this.currentIndex + 1) % this.mediaArray.length);
+    }
+
+    /**
+     * Show the previous media item
+     */
+    previous() {
+        this.goTo((this.currentIndex - 1 + this.mediaArray.length) % this.mediaArray.length);
+    }
+
+    /**
+     * Show a media item
+     * @param {number} index - Index into the media array
+     */
+    goTo(index) {
+        if (index === this.currentIndex || !this.mediaItem) {
+            this.schedule();
+            return;
+        }
+
+        this.currentIndex = index;
+
+        // Whatever was playing is being replaced
+        this.pauseReasons.delete('video');
+
+        // Always use lazy loading for previews to prevent loading all videos
+        this.manager.setMediaContent(this.mediaItem, this.mediaArray[index], true);
+        this.updateIndicators();
+        this.schedule();
+    }
+
+    /**
+     * Reflect the current index in the counter and dots
+     */
+    updateIndicators() {
+        if (this.currentMediaSpan) {
+            this.currentMediaSpan.textContent = this.currentIndex + 1;
+        }
+
+        this.dots.forEach((dot, index) => {
+            const isActive = index === this.currentIndex;
+            dot.classList.toggle('active', isActive);
+            if (isActive) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Stop the timer, observer and listeners
+     */
+    destroy() {
+        this.clearTimer();
+
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        this.listeners.forEach(({ target, type, handler, capture }) => {
+            target.removeEventListener(type, handler, capture);
+        });
+        this.listeners = [];
+    }
+}
+
+PreviewCarousel.DEFAULT_OPTIONS = {
+    interval: 5000 // Milliseconds each media item is shown
+};
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PreviewCarousel;
+}
+
+// Make available globally for debugging
+window.PreviewCarousel = PreviewCarousel;
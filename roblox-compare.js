@@ -0,0 +1,368 @@
+/**
+ * Roblox Entry Comparison
+ * Lets visitors tick 2–4 cards and compare them side by side in a table
+ * The open comparison is kept in the query string (?compare=a&compare=b) so it can be shared
+ */
+class RobloxComparison {
+    constructor(manager) {
+        this.manager = manager;
+        this.selected = []; // Entry ids in the order they were ticked
+        this.dialog = null;
+        this.trigger = null; // Element focused before the dialog opened
+    }
+
+    /**
+     * Wire up the tray and dialog and open a shared comparison from the URL
+     */
+    setup() {
+        this.dialog = document.getElementById('compare-dialog');
+        const tray = document.getElementById('compare-tray');
+
+        if (tray) {
+            tray.querySelector('.compare-open-btn').addEventListener('click', () => this.open());
+            tray.querySelector('.compare-clear-btn').addEventListener('click', () => this.clear());
+        }
+
+        if (this.dialog) {
+            this.dialog.querySelector('.compare-close-btn').addEventListener('click', () => this.close());
+            // Escape closes a modal <dialog> by itself; keep the URL and focus in step
+            this.dialog.addEventListener('close', () => this.onClosed());
+            this.dialog.addEventListener('click', (e) => {
+                // Clicking the backdrop (the dialog element itself) closes it
+                if (e.target === this.dialog) {
+                    this.close();
+                }
+            });
+        }
+
+        // Cards are rendered before this runs, so their checkboxes are synced here
+        this.readStateFromUrl();
+        this.updateCheckboxes();
+        this.renderTray();
+        if (this.selected.length >= RobloxComparison.MIN_ENTRIES) {
+            this.open();
+        }
+    }
+
+    /**
+     * Set up a card's Compare checkbox
+     * @param {Element|DocumentFragment} element - Card being created
+     * @param {string} id - Entry id
+     */
+    bindCheckbox(element, id) {
+        const checkbox = element.querySelector('.compare-checkbox');
+        if (!checkbox) return;
+
+        checkbox.setAttribute('data-compare-id', id);
+        this.updateCheckbox(checkbox);
+        checkbox.addEventListener('change', () => this.toggle(id, checkbox.checked));
+    }
+
+    /**
+     * Add or remove an entry from the selection
+     */
+    toggle(id, selected) {
+        if (selected && !this.selected.includes(id) && this.selected.length < RobloxComparison.MAX_ENTRIES) {
+            this.selected.push(id);
+        } else if (!selected) {
+            this.selected = this.selected.filter(selectedId => selectedId !== id);
+        }
+        this.onSelectionChanged();
+    }
+
+    /**
+     * Empty the selection
+     */
+    clear() {
+        this.selected = [];
+        this.onSelectionChanged();
+    }
+
+    /**
+     * Sync the checkboxes, tray and open table with the selection
+     */
+    onSelectionChanged() {
+        this.updateCheckboxes();
+        this.renderTray();
+
+        if (this.isOpen()) {
+            if (this.selected.length < RobloxComparison.MIN_ENTRIES) {
+                this.close();
+            } else {
+                this.renderTable();
+                this.writeStateToUrl();
+            }
+        }
+    }
+
+    /**
+     * Sync every rendered card's checkbox with the selection
+     */
+    updateCheckboxes() {
+        document.querySelectorAll('.compare-checkbox[data-compare-id]').forEach(checkbox => this.updateCheckbox(checkbox));
+    }
+
+    /**
+     * Tick a checkbox if its entry is selected, and disable it when the selection is full
+     */
+    updateCheckbox(checkbox) {
+        const isSelected = this.selected.includes(checkbox.getAttribute('data-compare-id'));
+        checkbox.checked = isSelected;
+        checkbox.disabled = !isSelected && this.selected.length >= RobloxComparison.MAX_ENTRIES;
+    }
+
+    /**
+     * Render the tray of selected entries
+     */
+    renderTray() {
+        const tray = document.getElementById('compare-tray');
+        if (!tray) return;
+
+        tray.hidden = this.selected.length === 0;
+        document.body.classList.toggle('has-compare-tray', !tray.hidden);
+
+        const items = this.getSelectedEntries().map(({ entry }) => {
+            const title = i18n.localize(entry, 'title');
+            const removeButton = SafeDom.create('button', {
+                className: 'compare-tray-remove',
+                attrs: { type: 'button', 'aria-label': i18n.t('compare.remove', { title }) },
+                children: [SafeDom.icon('fas fa-times')]
+            });
+            removeButton.addEventListener('click', () => this.toggle(entry.id, false));
+
+            return SafeDom.create('li', {
+                className: 'compare-tray-item',
+                children: [SafeDom.create('span', { text: title }), removeButton]
+            });
+        });
+        tray.querySelector('.compare-tray-items').replaceChildren(...items);
+
+        tray.querySelector('.compare-tray-hint').textContent = this.selected.length < RobloxComparison.MIN_ENTRIES
+            ? i18n.t('compare.hintMore', { min: RobloxComparison.MIN_ENTRIES })
+            : i18n.t('compare.hintMax', { max: RobloxComparison.MAX_ENTRIES });
+        tray.querySelector('.compare-open-btn').disabled = this.selected.length < RobloxComparison.MIN_ENTRIES;
+    }
+
+    /**
+     * Check whether the comparison dialog is open
+     */
+    isOpen() {
+        return Boolean(this.dialog && this.dialog.hasAttribute('open'));
+    }
+
+    /**
+     * Open the comparison table for the selection
+     */
+    open() {
+        if (!this.dialog || this.selected.length < RobloxComparison.MIN_ENTRIES) return;
+
+        this.renderTable();
+        if (!this.isOpen()) {
+            this.trigger = document.activeElement;
+            this.manager.pauseAllVideos();
+            if (typeof this.dialog.showModal === 'function') {
+                this.dialog.showModal();
+            } else {
+                // Without <dialog> support it's shown in place, without a backdrop
+                this.dialog.setAttribute('open', '');
+            }
+        }
+        this.writeStateToUrl();
+    }
+
+    /**
+     * Close the comparison table, keeping the selection in the tray
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        if (typeof this.dialog.close === 'function') {
+            this.dialog.close();
+        } else {
+            this.dialog.removeAttribute('open');
+            this.onClosed();
+        }
+    }
+
+    /**
+     * Clean up after the dialog closes, however it was closed
+     */
+    onClosed() {
+        this.writeStateToUrl();
+
+        if (this.trigger && this.trigger.isConnected && typeof this.trigger.focus === 'function') {
+            this.trigger.focus();
+        }
+        this.trigger = null;
+    }
+
+    /**
+     * Re-render language-dependent content after the language changes
+     */
+    applyLanguage() {
+        this.renderTray();
+        if (this.isOpen()) {
+            this.renderTable();
+        }
+    }
+
+    /**
+     * Get the selected entries that still exist
+     * @returns {Array} { entry, type } pairs in selection order
+     */
+    getSelectedEntries() {
+        return this.selected
+            .map(id => this.manager.findEntry(id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Build the comparison table: one column per entry, one row per attribute
+     */
+    renderTable() {
+        const wrapper = this.dialog.querySelector('.compare-table-wrapper');
+        const found = this.getSelectedEntries();
+        const entries = found.map(item => item.entry);
+        const techCounts = RobloxComparison.countTech(entries);
+
+        const headerCells = found.map(({ entry, type }) => SafeDom.create('th', {
+            attrs: { scope: 'col' },
+            children: [
+                SafeDom.create('span', { className: 'compare-entry-type', text: i18n.t(`timeline.${type}`) }),
+                SafeDom.create('a', {
+                    className: 'compare-entry-title',
+                    attrs: { href: this.manager.router.buildDetailsHash(entry.id) },
+                    text: i18n.localize(entry, 'title')
+                })
+            ]
+        }));
+
+        const rows = RobloxComparison.ROWS.map(row => SafeDom.create('tr', {
+            children: [
+                SafeDom.create('th', { attrs: { scope: 'row' }, text: i18n.t(`compare.row.${row}`) }),
+                ...entries.map(entry => SafeDom.create('td', {
+                    children: [this.createCell(row, entry, techCounts, entries.length)]
+                }))
+            ]
+        }));
+
+        // Title links lead to the detail view, which sits behind the dialog
+        headerCells.forEach(cell => {
+            cell.querySelector('a').addEventListener('click', () => this.close());
+        });
+
+        wrapper.replaceChildren(SafeDom.create('table', {
+            className: 'compare-table',
+            children: [
+                SafeDom.create('thead', {
+                    children: [SafeDom.create('tr', {
+                        children: [SafeDom.create('td', {}), ...headerCells]
+                    })]
+                }),
+                SafeDom.create('tbody', { children: rows })
+            ]
+        }));
+    }
+
+    /**
+     * Create the content of one table cell
+     * @param {string} row - Key from RobloxComparison.ROWS
+     * @param {Object} entry - Entry for the column
+     * @param {Map} techCounts - Tag -> number of compared entries using it
+     * @param {number} total - Number of compared entries
+     */
+    createCell(row, entry, techCounts, total) {
+        const empty = () => SafeDom.create('span', { className: 'compare-empty', text: '—' });
+
+        if (row === 'techStack') {
+            const tags = entry.techStack || [];
+            if (tags.length === 0) return empty();
+
+            return SafeDom.create('div', {
+                className: 'tech-stack',
+                children: tags.map(tech => {
+                    const tag = techTaxonomy.createTag(tech);
+                    const count = techCounts.get(tech);
+                    if (count === total) tag.classList.add('tech-shared');
+                    else if (count === 1) tag.classList.add('tech-unique');
+                    return tag;
+                })
+            });
+        }
+
+        if (row === 'deliverables') {
+            const deliverables = i18n.localize(entry, 'deliverables') || [];
+            if (deliverables.length === 0) return empty();
+
+            return SafeDom.create('ul', {
+                className: 'compare-list',
+                children: deliverables.map(item => SafeDom.create('li', { children: [SafeMarkdown.renderInline(item)] }))
+            });
+        }
+
+        if (row === 'mediaCount') {
+            return SafeDom.create('span', { text: String((entry.media || []).length) });
+        }
+
+        const value = i18n.localize(entry, row);
+        return value ? SafeDom.create('span', { text: value }) : empty();
+    }
+
+    /**
+     * Read the shared selection from the query string
+     */
+    readStateFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        // Comma-separated lists are accepted too, for hand-written links
+        const ids = params.getAll('compare').flatMap(value => value.split(',')).filter(Boolean);
+
+        this.selected = [];
+        ids.forEach(id => {
+            if (this.manager.findEntry(id) && !this.selected.includes(id) && this.selected.length < RobloxComparison.MAX_ENTRIES) {
+                this.selected.push(id);
+            }
+        });
+    }
+
+    /**
+     * Put the selection in the query string while the table is open, and take it out when it closes
+     */
+    writeStateToUrl() {
+        const params = new URLSearchParams(window.location.search);
+        params.delete('compare');
+        if (this.isOpen()) {
+            this.selected.forEach(id => params.append('compare', id));
+        }
+
+        const search = params.toString();
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    /**
+     * Count how many entries use each tech tag
+     * @returns {Map} Tag -> count
+     */
+    static countTech(entries) {
+        const counts = new Map();
+        entries.forEach(entry => {
+            new Set(entry.techStack || []).forEach(tech => counts.set(tech, (counts.get(tech) || 0) + 1));
+        });
+        return counts;
+    }
+}
+
+RobloxComparison.MIN_ENTRIES = 2;
+
+RobloxComparison.MAX_ENTRIES = 4;
+
+// Table rows, top to bottom; each has a compare.row.* label
+RobloxComparison.ROWS = ['role', 'status', 'duration', 'client', 'techStack', 'deliverables', 'mediaCount'];
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RobloxComparison;
+}
+
+// Make available globally for debugging
+window.RobloxComparison = RobloxComparison;
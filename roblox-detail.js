@@ -0,0 +1,247 @@
+/**
+ * Roblox Project Detail View
+ * Shows one entry in full (long description, inline gallery, features, metrics, deliverables, links)
+ * in place of the lists, with previous/next links to the neighbouring entries
+ */
+class RobloxDetailView {
+    constructor(manager) {
+        this.manager = manager;
+        this.currentId = null;
+    }
+
+    /**
+     * Check whether an entry is being shown
+     */
+    isOpen() {
+        return this.currentId !== null;
+    }
+
+    /**
+     * Show an entry's details
+     * @param {string} id - Entry id
+     * @returns {boolean} Whether the entry exists
+     */
+    open(id) {
+        const found = this.manager.findEntry(id);
+        const container = document.getElementById('project-detail');
+        if (!found || !container) return false;
+
+        // The lists stay rendered underneath, so stop anything playing there
+        this.manager.pauseAllVideos();
+
+        this.currentId = id;
+        this.render(container, found.entry, found.type);
+        this.setShowing(true);
+        this.manager.tracker.onDetailsOpened(id);
+
+        container.scrollIntoView({ block: 'start' });
+
+        const heading = container.querySelector('.project-title');
+        if (heading) {
+            heading.focus({ preventScroll: true });
+        }
+        return true;
+    }
+
+    /**
+     * Hide the details and show the lists again
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.manager.pauseAllVideos();
+        this.currentId = null;
+        this.setShowing(false);
+
+        const container = document.getElementById('project-detail');
+        if (container) {
+            container.innerHTML = '';
+        }
+    }
+
+    /**
+     * Re-render the open entry (e.g. after a language change)
+     */
+    refresh() {
+        const container = document.getElementById('project-detail');
+        const found = this.isOpen() ? this.manager.findEntry(this.currentId) : null;
+        if (found && container) {
+            this.render(container, found.entry, found.type);
+        }
+    }
+
+    /**
+     * Swap the lists and toolbar for the detail container
+     */
+    setShowing(showing) {
+        const container = document.getElementById('project-detail');
+        if (container) {
+            container.hidden = !showing;
+        }
+
+        const main = document.querySelector('.main-content');
+        if (main) {
+            main.classList.toggle('showing-detail', showing);
+        }
+    }
+
+    /**
+     * Fill the detail container from the template
+     * @param {Element} container - #project-detail
+     * @param {Object} entry - Project or commission
+     * @param {string} type - "project" or "commission"
+     */
+    render(container, entry, type) {
+        const template = document.getElementById('detail-template');
+        if (!template) return;
+
+        const clone = template.content.cloneNode(true);
+        i18n.translatePage(clone);
+
+        const backLink = clone.querySelector('.detail-back-link');
+        if (backLink) {
+            backLink.setAttribute('href', this.manager.router.buildHash(entry.id));
+        }
+
+        const typeLabel = clone.querySelector('.detail-type');
+        if (typeLabel) {
+            typeLabel.textContent = i18n.t(`timeline.${type}`);
+            typeLabel.classList.add(`timeline-type-${type}`);
+        }
+
+        // The card setters fill the shared parts of the template
+        this.manager.setProjectBasicInfo(clone, entry);
+        if (type === 'project') {
+            this.manager.setProjectSpecificContent(clone, entry);
+        } else {
+            this.manager.setCommissionSpecificContent(clone, entry);
+        }
+        this.manager.setTechStack(clone, entry);
+        this.manager.setProjectLinks(clone, entry);
+
+        const longDescription = clone.querySelector('.detail-long-description');
+        if (longDescription) {
+            longDescription.replaceChildren(SafeMarkdown.render(
+                i18n.localize(entry, 'longDescription') || i18n.localize(entry, 'description')
+            ));
+        }
+
+        this.renderGallery(clone.querySelector('.detail-gallery'), entry);
+        this.renderPager(clone.querySelector('.detail-pager'), entry.id);
+        this.hideEmptySections(clone, entry, type);
+
+        this.manager.destroyPreviewCarousels(container);
+        container.replaceChildren(clone);
+        this.manager.observeMediaItems(container);
+    }
+
+    /**
+     * Render every media item inline, each able to open the slideshow at its position
+     */
+    renderGallery(gallery, entry) {
+        if (!gallery) return;
+
+        const media = entry.media || [];
+        media.forEach((item, index) => {
+            const mediaItem = SafeDom.create('div', { className: 'media-item active' });
+            this.manager.setMediaContent(mediaItem, item, true);
+
+            const caption = i18n.localize(item, 'caption');
+            const expandButton = SafeDom.create('button', {
+                className: 'detail-media-expand',
+                attrs: {
+                    type: 'button',
+                    'aria-label': i18n.t('slideshow.position', { index: index + 1, total: media.length })
+                },
+                children: [SafeDom.icon('fas fa-expand')]
+            });
+            expandButton.addEventListener('click', () => this.manager.openSlideshow(media, index, entry.id));
+
+            gallery.appendChild(SafeDom.create('figure', {
+                className: 'detail-media',
+                children: [
+                    mediaItem,
+                    expandButton,
+                    caption ? SafeDom.create('figcaption', { text: caption }) : null
+                ]
+            }));
+        });
+    }
+
+    /**
+     * Render links to the previous and next entries
+     */
+    renderPager(pager, id) {
+        if (!pager) return;
+
+        const { previous, next } = this.getNeighbours(id);
+        const createLink = (entry, direction) => {
+            if (!entry) return SafeDom.create('span', { className: `detail-pager-spacer detail-pager-${direction}` });
+
+            return SafeDom.create('a', {
+                className: `detail-pager-link detail-pager-${direction}`,
+                attrs: { href: this.manager.router.buildDetailsHash(entry.id), rel: direction === 'previous' ? 'prev' : 'next' },
+                children: [
+                    SafeDom.create('span', { className: 'detail-pager-label', text: i18n.t(`detail.${direction}`) }),
+                    SafeDom.create('span', { className: 'detail-pager-title', text: i18n.localize(entry, 'title') })
+                ]
+            });
+        };
+
+        pager.setAttribute('aria-label', i18n.t('detail.pager'));
+        pager.replaceChildren(createLink(previous, 'previous'), createLink(next, 'next'));
+    }
+
+    /**
+     * Find the entries before and after one, in the order the grid shows them
+     * Falls back to data order when the entry is hidden by the filters
+     * @returns {Object} { previous, next }, either of which may be null
+     */
+    getNeighbours(id) {
+        const filterBar = this.manager.filterBar;
+        let order = [
+            ...filterBar.getVisibleEntries(this.manager.projects),
+            ...filterBar.getVisibleEntries(this.manager.commissions)
+        ];
+        if (!order.some(entry => entry.id === id)) {
+            order = [...this.manager.projects, ...this.manager.commissions];
+        }
+
+        const index = order.findIndex(entry => entry.id === id);
+        return {
+            previous: index > 0 ? order[index - 1] : null,
+            next: index !== -1 && index < order.length - 1 ? order[index + 1] : null
+        };
+    }
+
+    /**
+     * Hide template sections the entry has nothing for
+     */
+    hideEmptySections(element, entry, type) {
+        const hasItems = value => Array.isArray(value) && value.length > 0;
+        const sections = {
+            '.detail-gallery-section': hasItems(entry.media),
+            '.project-features': hasItems(entry.features),
+            '.project-metrics': Boolean(entry.metrics && Object.keys(entry.metrics).length > 0),
+            '.project-deliverables': hasItems(entry.deliverables),
+            '.tech-stack': hasItems(entry.techStack),
+            // Commissions always have the inquiry button
+            '.project-links': Boolean(entry.gameUrl) || hasItems(entry.links) || type === 'commission'
+        };
+
+        Object.entries(sections).forEach(([selector, hasContent]) => {
+            const section = element.querySelector(selector);
+            if (section && !hasContent) {
+                section.hidden = true;
+            }
+        });
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RobloxDetailView;
+}
+
+// Make available globally for debugging
+window.RobloxDetailView = RobloxDetailView;
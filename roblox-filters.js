@@ -0,0 +1,560 @@
+/**
+ * Roblox Projects Filter Bar
+ * Handles free-text search, tech/status/role filters, sorting and the grid/timeline view toggle
+ */
+class RobloxFilterBar {
+    constructor(manager) {
+        this.manager = manager;
+        this.query = '';
+        this.selected = {};
+        this.options = {};
+        this.sort = RobloxFilterBar.DEFAULT_SORT;
+        this.view = RobloxFilterBar.DEFAULT_VIEW;
+        this.searchTimeout = null;
+
+        RobloxFilterBar.GROUPS.forEach(group => {
+            this.selected[group.key] = new Set();
+            this.options[group.key] = [];
+        });
+    }
+
+    /**
+     * Build the toolbar from loaded data and restore state from the URL
+     */
+    setup() {
+        this.toolbar = document.getElementById('filter-toolbar');
+        if (!this.toolbar) return;
+
+        this.collectOptions();
+        this.readStateFromUrl();
+        this.renderToolbar();
+
+        window.addEventListener('popstate', () => {
+            // Most back/forward steps only change the hash (slides, details); leave the lists alone then
+            const previous = this.getStateKey();
+            this.readStateFromUrl();
+            if (this.getStateKey() === previous) return;
+
+            this.syncControls();
+            this.manager.refreshProjectLists();
+            this.updateResultCount();
+        });
+    }
+
+    /**
+     * Collect the distinct filter values found in the data
+     */
+    collectOptions() {
+        const entries = [...this.manager.projects, ...this.manager.commissions];
+
+        RobloxFilterBar.GROUPS.forEach(group => {
+            const counts = new Map();
+            const samples = new Map(); // Value -> entries with it, for its translated label
+            entries.forEach(entry => {
+                this.getEntryValues(entry, group).forEach(value => {
+                    counts.set(value, (counts.get(value) || 0) + 1);
+                    samples.set(value, [...(samples.get(value) || []), entry]);
+                });
+            });
+
+            this.options[group.key] = Array.from(counts.entries())
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .map(([value, count]) => ({ value, count, entries: samples.get(value) }));
+        });
+    }
+
+    /**
+     * Get the values an entry has for a filter group
+     * @param {Object} entry - Project or commission
+     * @param {Object} group - Filter group definition
+     * @returns {Array} Values for the group's field
+     */
+    getEntryValues(entry, group) {
+        const value = entry[group.field];
+        if (Array.isArray(value)) return value;
+        return value ? [value] : [];
+    }
+
+    /**
+     * Render the search input, filter chips, result count and clear button
+     */
+    renderToolbar() {
+        this.toolbar.innerHTML = '';
+
+        const searchWrapper = document.createElement('label');
+        searchWrapper.className = 'filter-search';
+
+        const searchIcon = document.createElement('i');
+        searchIcon.className = 'fas fa-search';
+        searchWrapper.appendChild(searchIcon);
+
+        this.searchInput = document.createElement('input');
+        this.searchInput.type = 'search';
+        this.searchInput.placeholder = i18n.t('filters.search');
+        this.searchInput.setAttribute('aria-label', i18n.t('filters.search'));
+        this.searchInput.value = this.query;
+        this.searchInput.addEventListener('input', () => this.handleSearchInput());
+        searchWrapper.appendChild(this.searchInput);
+
+        this.toolbar.appendChild(searchWrapper);
+        this.toolbar.appendChild(this.createDisplayControls());
+
+        RobloxFilterBar.GROUPS.forEach(group => {
+            if (this.options[group.key].length === 0) return;
+            this.toolbar.appendChild(this.createFilterGroup(group));
+        });
+
+        const footer = document.createElement('div');
+        footer.className = 'filter-footer';
+
+        this.resultCount = document.createElement('span');
+        this.resultCount.className = 'filter-result-count';
+        this.resultCount.setAttribute('aria-live', 'polite');
+        footer.appendChild(this.resultCount);
+
+        this.clearButton = document.createElement('button');
+        this.clearButton.type = 'button';
+        this.clearButton.className = 'filter-clear-btn';
+        this.clearButton.textContent = i18n.t('filters.clear');
+        this.clearButton.addEventListener('click', () => this.clearFilters());
+        footer.appendChild(this.clearButton);
+
+        this.toolbar.appendChild(footer);
+        this.updateResultCount();
+    }
+
+    /**
+     * Create the view toggle and sort select
+     */
+    createDisplayControls() {
+        const controls = document.createElement('div');
+        controls.className = 'filter-display';
+
+        const viewGroup = document.createElement('div');
+        viewGroup.className = 'filter-view-toggle';
+        viewGroup.setAttribute('role', 'group');
+        viewGroup.setAttribute('aria-label', i18n.t('filters.view'));
+
+        RobloxFilterBar.VIEWS.forEach(view => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'filter-chip filter-view-option';
+            button.setAttribute('data-view-option', view.key);
+            button.setAttribute('aria-pressed', String(this.view === view.key));
+            button.appendChild(SafeDom.icon(view.icon));
+            button.appendChild(document.createTextNode(i18n.t(view.labelKey)));
+            button.addEventListener('click', () => this.setView(view.key));
+            viewGroup.appendChild(button);
+        });
+        controls.appendChild(viewGroup);
+
+        this.sortWrapper = document.createElement('label');
+        this.sortWrapper.className = 'filter-sort';
+
+        const sortLabel = document.createElement('span');
+        sortLabel.className = 'filter-group-label';
+        sortLabel.textContent = `${i18n.t('filters.sort')}:`;
+        this.sortWrapper.appendChild(sortLabel);
+
+        this.sortSelect = document.createElement('select');
+        RobloxFilterBar.SORTS.forEach(sort => {
+            const option = document.createElement('option');
+            option.value = sort.key;
+            option.textContent = i18n.t(sort.labelKey);
+            this.sortSelect.appendChild(option);
+        });
+        this.sortSelect.value = this.sort;
+        this.sortSelect.addEventListener('change', () => this.setSort(this.sortSelect.value));
+        this.sortWrapper.appendChild(this.sortSelect);
+
+        // The timeline is always chronological
+        this.sortWrapper.hidden = this.view === 'timeline';
+        controls.appendChild(this.sortWrapper);
+
+        return controls;
+    }
+
+    /**
+     * Create a group of toggle chips for one filter
+     */
+    createFilterGroup(group) {
+        const groupElement = document.createElement('div');
+        groupElement.className = 'filter-group';
+        groupElement.setAttribute('role', 'group');
+        const groupLabel = i18n.t(group.labelKey);
+        groupElement.setAttribute('aria-label', i18n.t('filters.groupLabel', { group: groupLabel }));
+
+        const label = document.createElement('span');
+        label.className = 'filter-group-label';
+        label.textContent = `${groupLabel}:`;
+        groupElement.appendChild(label);
+
+        this.options[group.key].forEach(option => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'filter-chip';
+            chip.setAttribute('data-filter-group', group.key);
+            chip.setAttribute('data-filter-value', option.value);
+            chip.setAttribute('aria-pressed', String(this.selected[group.key].has(option.value)));
+            chip.textContent = this.getOptionLabel(group, option);
+
+            const count = document.createElement('span');
+            count.className = 'filter-chip-count';
+            count.textContent = i18n.formatNumber(option.count);
+            chip.appendChild(count);
+
+            chip.addEventListener('click', () => this.toggleFilter(group.key, option.value));
+            groupElement.appendChild(chip);
+        });
+
+        return groupElement;
+    }
+
+    /**
+     * Get a filter value's label in the current language
+     * The value stays canonical (English) for matching and the URL; single-value fields such as
+     * status and role take the translation from an entry that has one, e.g. status_ar
+     */
+    getOptionLabel(group, option) {
+        for (const entry of option.entries) {
+            if (entry[group.field] !== option.value) continue; // Array fields such as techStack
+
+            const label = i18n.localize(entry, group.field);
+            if (label && label !== option.value) return label;
+        }
+        return option.value;
+    }
+
+    /**
+     * Debounce search input before re-rendering
+     */
+    handleSearchInput() {
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => {
+            this.query = this.searchInput.value.trim();
+            this.applyFilters();
+        }, 200);
+    }
+
+    /**
+     * Toggle a filter value on or off
+     */
+    toggleFilter(groupKey, value) {
+        const values = this.selected[groupKey];
+        if (values.has(value)) {
+            values.delete(value);
+        } else {
+            values.add(value);
+        }
+        this.syncControls();
+        this.applyFilters();
+    }
+
+    /**
+     * Switch between the card grid and the timeline
+     * @param {string} view - Key from RobloxFilterBar.VIEWS
+     */
+    setView(view) {
+        if (view === this.view || !RobloxFilterBar.VIEWS.some(option => option.key === view)) return;
+
+        this.view = view;
+        this.syncControls();
+        this.applyFilters();
+    }
+
+    /**
+     * Change the grid sort order
+     * @param {string} sort - Key from RobloxFilterBar.SORTS
+     */
+    setSort(sort) {
+        if (sort === this.sort || !RobloxFilterBar.SORTS.some(option => option.key === sort)) return;
+
+        this.sort = sort;
+        this.syncControls();
+        this.applyFilters();
+    }
+
+    /**
+     * Reset search and all filters
+     */
+    clearFilters() {
+        this.query = '';
+        Object.values(this.selected).forEach(values => values.clear());
+        this.syncControls();
+        this.applyFilters();
+    }
+
+    /**
+     * Re-render the lists and persist the state to the URL
+     */
+    applyFilters() {
+        this.writeStateToUrl();
+        this.manager.refreshProjectLists();
+        this.updateResultCount();
+    }
+
+    /**
+     * Reflect the current state in the toolbar controls
+     */
+    syncControls() {
+        if (!this.toolbar) return;
+
+        if (this.searchInput && this.searchInput.value.trim() !== this.query) {
+            this.searchInput.value = this.query;
+        }
+
+        if (this.sortSelect) {
+            this.sortSelect.value = this.sort;
+            this.sortWrapper.hidden = this.view === 'timeline';
+        }
+
+        this.toolbar.querySelectorAll('[data-view-option]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.getAttribute('data-view-option') === this.view));
+        });
+
+        this.toolbar.querySelectorAll('.filter-chip[data-filter-group]').forEach(chip => {
+            const groupKey = chip.getAttribute('data-filter-group');
+            const value = chip.getAttribute('data-filter-value');
+            chip.setAttribute('aria-pressed', String(this.selected[groupKey].has(value)));
+        });
+    }
+
+    /**
+     * Check whether any search or filter is active
+     */
+    isActive() {
+        return this.query !== '' || Object.values(this.selected).some(values => values.size > 0);
+    }
+
+    /**
+     * Check whether an entry matches the current search and filters
+     * Values within a group are OR-ed, groups are AND-ed together
+     * Search covers the entry's fields in English and in the current language
+     * @param {Object} entry - Project or commission
+     * @returns {boolean} True if the entry should be shown
+     */
+    matches(entry) {
+        if (this.query) {
+            const haystack = RobloxFilterBar.SEARCH_FIELDS
+                .map(field => `${entry[field] || ''} ${i18n.localize(entry, field) || ''}`)
+                .join(' ')
+                .toLowerCase();
+            const terms = this.query.toLowerCase().split(/\s+/);
+            if (!terms.every(term => haystack.includes(term))) {
+                return false;
+            }
+        }
+
+        return RobloxFilterBar.GROUPS.every(group => {
+            const values = this.selected[group.key];
+            if (values.size === 0) return true;
+            return this.getEntryValues(entry, group).some(value => values.has(value));
+        });
+    }
+
+    /**
+     * Filter a list of entries
+     * @param {Array} entries - Projects or commissions
+     * @returns {Array} Entries that match the current state
+     */
+    filterEntries(entries) {
+        return entries.filter(entry => this.matches(entry));
+    }
+
+    /**
+     * Filter and sort a list of entries for display
+     * @param {Array} entries - Projects or commissions
+     * @returns {Array} Matching entries in the selected order
+     */
+    getVisibleEntries(entries) {
+        return this.sortEntries(this.filterEntries(entries));
+    }
+
+    /**
+     * Sort entries by the selected order
+     * The default order is the order of the data file; ties keep it too
+     * @param {Array} entries - Projects or commissions
+     * @returns {Array} Sorted copy
+     */
+    sortEntries(entries) {
+        const sort = RobloxFilterBar.SORTS.find(option => option.key === this.sort);
+        if (!sort || !sort.compare) return entries.slice();
+
+        return entries.slice().sort(sort.compare);
+    }
+
+    /**
+     * Update the live result count
+     */
+    updateResultCount() {
+        if (!this.resultCount) return;
+
+        const total = this.manager.projects.length + this.manager.commissions.length;
+        const shown = this.filterEntries(this.manager.projects).length +
+            this.filterEntries(this.manager.commissions).length;
+
+        this.resultCount.textContent = this.isActive()
+            ? i18n.t('filters.showing', { shown, total })
+            : i18n.t('filters.total', { count: total });
+        this.clearButton.hidden = !this.isActive();
+    }
+
+    /**
+     * Create the empty state shown when a list has no matches
+     * @param {string} label - What the list contains ("projects" or "commissions")
+     * @returns {Element} Empty state element
+     */
+    createEmptyState(label) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'filter-empty-state';
+
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-search';
+        emptyState.appendChild(icon);
+
+        const message = document.createElement('p');
+        message.textContent = i18n.t(`filters.empty.${label}`);
+        emptyState.appendChild(message);
+
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'filter-clear-btn';
+        clearButton.textContent = i18n.t('filters.clear');
+        clearButton.addEventListener('click', () => this.clearFilters());
+        emptyState.appendChild(clearButton);
+
+        return emptyState;
+    }
+
+    /**
+     * Read search and filter state from the query string
+     */
+    readStateFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        this.query = (params.get('q') || '').trim();
+
+        const sort = params.get('sort');
+        this.sort = RobloxFilterBar.SORTS.some(option => option.key === sort) ? sort : RobloxFilterBar.DEFAULT_SORT;
+
+        const view = params.get('view');
+        this.view = RobloxFilterBar.VIEWS.some(option => option.key === view) ? view : RobloxFilterBar.DEFAULT_VIEW;
+
+        RobloxFilterBar.GROUPS.forEach(group => {
+            const known = new Set(this.options[group.key].map(option => option.value));
+            const values = params.getAll(group.key).filter(value => known.has(value));
+            this.selected[group.key] = new Set(values);
+        });
+    }
+
+    /**
+     * Summarise search, sort, view and filter state for comparison
+     * @returns {string} Equal for equal states, regardless of selection order
+     */
+    getStateKey() {
+        return JSON.stringify({
+            query: this.query,
+            sort: this.sort,
+            view: this.view,
+            selected: RobloxFilterBar.GROUPS.map(group => Array.from(this.selected[group.key]).sort())
+        });
+    }
+
+    /**
+     * Write search and filter state to the query string
+     */
+    writeStateToUrl() {
+        const params = new URLSearchParams(window.location.search);
+        params.delete('q');
+        params.delete('sort');
+        params.delete('view');
+        RobloxFilterBar.GROUPS.forEach(group => params.delete(group.key));
+
+        if (this.query) {
+            params.set('q', this.query);
+        }
+        if (this.sort !== RobloxFilterBar.DEFAULT_SORT) {
+            params.set('sort', this.sort);
+        }
+        if (this.view !== RobloxFilterBar.DEFAULT_VIEW) {
+            params.set('view', this.view);
+        }
+        RobloxFilterBar.GROUPS.forEach(group => {
+            this.selected[group.key].forEach(value => params.append(group.key, value));
+        });
+
+        const search = params.toString();
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    /**
+     * Get the date an entry sorts by: when it ended, or now if it is still going
+     * @param {Object} entry - Project or commission
+     * @returns {string|null} Comparable date string, or null when undated
+     */
+    static getSortDate(entry) {
+        if (I18n.parseDate(entry.endDate)) return entry.endDate;
+        if (I18n.parseDate(entry.startDate)) return '9999'; // Ongoing
+        return null;
+    }
+}
+
+RobloxFilterBar.SEARCH_FIELDS = ['title', 'description', 'longDescription'];
+
+RobloxFilterBar.GROUPS = [
+    { key: 'tech', labelKey: 'filters.tech', field: 'techStack' },
+    { key: 'status', labelKey: 'filters.status', field: 'status' },
+    { key: 'role', labelKey: 'filters.role', field: 'role' }
+];
+
+RobloxFilterBar.VIEWS = [
+    { key: 'grid', labelKey: 'filters.viewGrid', icon: 'fas fa-th-large' },
+    { key: 'timeline', labelKey: 'filters.viewTimeline', icon: 'fas fa-stream' }
+];
+
+RobloxFilterBar.DEFAULT_VIEW = 'grid';
+
+// Statuses listed here sort first, in this order; others follow alphabetically
+RobloxFilterBar.STATUS_ORDER = ['In Development', 'Completed'];
+
+RobloxFilterBar.SORTS = [
+    { key: 'default', labelKey: 'filters.sortDefault', compare: null },
+    {
+        key: 'date',
+        labelKey: 'filters.sortDate',
+        compare: (a, b) => {
+            const dateA = RobloxFilterBar.getSortDate(a);
+            const dateB = RobloxFilterBar.getSortDate(b);
+            if (dateA === dateB) return 0;
+            if (dateA === null) return 1; // Undated entries go last
+            if (dateB === null) return -1;
+            return dateA < dateB ? 1 : -1;
+        }
+    },
+    {
+        key: 'status',
+        labelKey: 'filters.sortStatus',
+        compare: (a, b) => {
+            const rank = entry => {
+                const index = RobloxFilterBar.STATUS_ORDER.indexOf(entry.status);
+                return index === -1 ? RobloxFilterBar.STATUS_ORDER.length : index;
+            };
+            return rank(a) - rank(b) || (a.status || '').localeCompare(b.status || '');
+        }
+    },
+    {
+        key: 'title',
+        labelKey: 'filters.sortTitle',
+        compare: (a, b) => String(i18n.localize(a, 'title')).localeCompare(String(i18n.localize(b, 'title')), i18n.getLanguage())
+    }
+];
+
+RobloxFilterBar.DEFAULT_SORT = 'default';
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RobloxFilterBar;
+}
+
+// Make available globally for debugging
+window.RobloxFilterBar = RobloxFilterBar;
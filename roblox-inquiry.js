@@ -0,0 +1,488 @@
+/**
+ * Commission Inquiry Form
+ * Validates the inquiry form, autosaves a draft in localStorage and sends it to the configured endpoint,
+ * falling back to a prefilled email when there is no endpoint or it can't be reached
+ * With neither an endpoint nor an email address configured the form is hidden, since nothing could receive it
+ *
+ * The endpoint receives a POST with a JSON body:
+ *   { name, contact, budget, timeline, similarTo, description, language, submittedAt }
+ * and any 2xx response counts as delivered, so a local stand-in only has to accept the request
+ */
+class CommissionInquiryForm {
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.options = {
+            ...CommissionInquiryForm.DEFAULT_OPTIONS,
+            endpoint: CommissionInquiryForm.readMeta('inquiry-endpoint'),
+            email: CommissionInquiryForm.readMeta('inquiry-email'),
+            ...options
+        };
+        this.form = null;
+        this.saveTimer = null;
+        this.submitting = false;
+        this.touched = new Set(); // Fields whose errors are shown, re-checked as they change
+    }
+
+    /**
+     * Check whether inquiries have somewhere to go
+     */
+    isAvailable() {
+        return Boolean(this.options.endpoint || this.getRecipient());
+    }
+
+    /**
+     * Get the configured email address, if it is a valid one
+     */
+    getRecipient() {
+        return CommissionInquiryForm.EMAIL_PATTERN.test(this.options.email || '') ? this.options.email : null;
+    }
+
+    /**
+     * Fill the "similar to" picker, restore the draft and wire up the form
+     */
+    setup() {
+        const form = document.getElementById('inquiry-form');
+        if (!form) return;
+
+        if (!this.isAvailable()) {
+            console.warn('Hiding the inquiry form: set <meta name="inquiry-endpoint"> or <meta name="inquiry-email">');
+            const section = form.closest('.inquiry-section');
+            (section || form).hidden = true;
+            return;
+        }
+
+        this.form = form;
+
+        this.renderSimilarOptions();
+        this.restoreDraft();
+
+        this.form.addEventListener('input', (e) => {
+            this.scheduleSave();
+            if (this.touched.has(e.target.name)) {
+                this.validateField(e.target.name);
+            }
+        });
+        this.form.addEventListener('change', (e) => {
+            this.scheduleSave();
+            if (this.touched.has(e.target.name)) {
+                this.validateField(e.target.name);
+            }
+        });
+        this.form.addEventListener('focusout', (e) => {
+            // Check a field once the visitor has left it with something typed
+            if (CommissionInquiryForm.RULES[e.target.name] && e.target.value.trim() !== '') {
+                this.touched.add(e.target.name);
+                this.validateField(e.target.name);
+            }
+        });
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        this.form.addEventListener('reset', () => {
+            // Let the browser clear the fields before forgetting the draft
+            setTimeout(() => {
+                this.clearDraft();
+                this.clearErrors();
+                this.setStatus(null);
+            }, 0);
+        });
+    }
+
+    /**
+     * List the commissions as "similar to" choices
+     */
+    renderSimilarOptions() {
+        const select = this.form.elements.similarTo;
+        if (!select) return;
+
+        const selected = select.value;
+        const options = [
+            SafeDom.create('option', { text: i18n.t('inquiry.similarNone'), attrs: { value: '' } }),
+            ...this.manager.commissions.map(commission => SafeDom.create('option', {
+                text: i18n.localize(commission, 'title'),
+                attrs: { value: commission.id }
+            }))
+        ];
+        select.replaceChildren(...options);
+        select.value = this.manager.commissions.some(commission => commission.id === selected) ? selected : '';
+    }
+
+    /**
+     * Pre-select a commission and bring the form into view (from a card's "Request something similar")
+     * @param {string} id - Commission id
+     */
+    startSimilarTo(id) {
+        if (!this.form) return;
+
+        this.manager.detailView.close();
+        this.form.elements.similarTo.value = id;
+        this.saveDraft();
+
+        this.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        const firstEmpty = ['name', 'contact', 'budget', 'timeline', 'description']
+            .map(name => this.form.elements[name])
+            .find(field => field.value.trim() === '');
+        (firstEmpty || this.form.elements.description).focus({ preventScroll: true });
+    }
+
+    /**
+     * Re-render language-dependent parts after the language changes
+     */
+    applyLanguage() {
+        if (!this.form) return;
+
+        this.renderSimilarOptions();
+        this.touched.forEach(name => this.validateField(name));
+    }
+
+    /**
+     * Read the form into a plain object
+     */
+    getValues() {
+        const values = {};
+        CommissionInquiryForm.FIELDS.forEach(name => {
+            const field = this.form.elements[name];
+            values[name] = field ? field.value.trim() : '';
+        });
+        return values;
+    }
+
+    /**
+     * Check one field and show or clear its error
+     * @returns {boolean} Whether the field is valid
+     */
+    validateField(name) {
+        const error = this.getFieldError(name, this.form.elements[name].value.trim());
+        this.showFieldError(name, error);
+        return error === null;
+    }
+
+    /**
+     * Get the error message for a value, if any
+     * @returns {string|null} Translated message
+     */
+    getFieldError(name, value) {
+        const rule = CommissionInquiryForm.RULES[name];
+        if (!rule) return null;
+
+        if (value === '') {
+            return rule.required ? i18n.t('inquiry.error.required') : null;
+        }
+        if (rule.minLength && value.length < rule.minLength) {
+            return i18n.t('inquiry.error.tooShort', { min: rule.minLength });
+        }
+        if (rule.maxLength && value.length > rule.maxLength) {
+            return i18n.t('inquiry.error.tooLong', { max: rule.maxLength });
+        }
+        // Anything with an @ past the first character is meant as an email address (a leading @ is a handle)
+        if (name === 'contact' && value.indexOf('@') > 0 && !CommissionInquiryForm.EMAIL_PATTERN.test(value)) {
+            return i18n.t('inquiry.error.email');
+        }
+        if (name === 'similarTo' && !this.manager.commissions.some(commission => commission.id === value)) {
+            return i18n.t('inquiry.error.required');
+        }
+        return null;
+    }
+
+    /**
+     * Show a field's error under it and mark it invalid for assistive tech
+     */
+    showFieldError(name, message) {
+        const field = this.form.elements[name];
+        const errorId = `${field.id}-error`;
+        let errorElement = document.getElementById(errorId);
+
+        if (!message) {
+            field.removeAttribute('aria-invalid');
+            field.removeAttribute('aria-describedby');
+            if (errorElement) {
+                errorElement.remove();
+            }
+            return;
+        }
+
+        if (!errorElement) {
+            errorElement = SafeDom.create('p', { className: 'field-error', attrs: { id: errorId } });
+            field.insertAdjacentElement('afterend', errorElement);
+        }
+        errorElement.textContent = message;
+        field.setAttribute('aria-invalid', 'true');
+        field.setAttribute('aria-describedby', errorId);
+    }
+
+    /**
+     * Empty every field (without a reset event, which would also hide the status)
+     */
+    clearFields() {
+        CommissionInquiryForm.FIELDS.forEach(name => {
+            const field = this.form.elements[name];
+            if (field) {
+                field.value = '';
+            }
+        });
+    }
+
+    /**
+     * Remove every error message
+     */
+    clearErrors() {
+        this.touched.clear();
+        Object.keys(CommissionInquiryForm.RULES).forEach(name => this.showFieldError(name, null));
+    }
+
+    /**
+     * Validate everything, then send to the endpoint or fall back to email
+     */
+    async submit() {
+        if (this.submitting) return;
+
+        const invalid = Object.keys(CommissionInquiryForm.RULES).filter(name => {
+            this.touched.add(name);
+            return !this.validateField(name);
+        });
+        if (invalid.length > 0) {
+            this.setStatus('error', i18n.t('inquiry.status.invalid'));
+            this.form.elements[invalid[0]].focus();
+            return;
+        }
+
+        const values = this.getValues();
+        this.setSubmitting(true);
+        this.setStatus('sending', i18n.t('inquiry.status.sending'));
+
+        try {
+            if (this.options.endpoint) {
+                await this.send(values);
+                this.clearFields();
+                this.clearDraft();
+                this.touched.clear();
+                this.setStatus('success', i18n.t('inquiry.status.sent'));
+                return;
+            }
+        } catch (error) {
+            console.warn('Could not send the inquiry, falling back to email:', error);
+        } finally {
+            this.setSubmitting(false);
+        }
+
+        if (!this.getRecipient()) {
+            // The draft is kept so the visitor can try again later
+            this.setStatus('error', i18n.t('inquiry.status.failed'));
+            return;
+        }
+
+        // The draft is kept, since there's no way to know the email was sent
+        const mailto = this.buildMailto(values);
+        this.setStatus('fallback', i18n.t('inquiry.status.email'), mailto);
+        window.location.href = mailto;
+    }
+
+    /**
+     * POST the inquiry to the endpoint
+     */
+    async send(values) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.options.timeout);
+
+        try {
+            const response = await fetch(this.options.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...values,
+                    language: i18n.getLanguage(),
+                    submittedAt: new Date().toISOString()
+                }),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Build a mailto: link with the inquiry written out in the current language
+     */
+    buildMailto(values) {
+        const similar = values.similarTo ? this.manager.findEntry(values.similarTo) : null;
+        const optionText = name => {
+            const option = this.form.elements[name].selectedOptions[0];
+            return option ? option.textContent : values[name];
+        };
+
+        const lines = [
+            `${i18n.t('inquiry.name')}: ${values.name}`,
+            `${i18n.t('inquiry.contact')}: ${values.contact}`,
+            `${i18n.t('inquiry.budget')}: ${optionText('budget')}`,
+            `${i18n.t('inquiry.timeline')}: ${optionText('timeline')}`
+        ];
+        if (similar) {
+            lines.push(`${i18n.t('inquiry.similarTo')}: ${i18n.localize(similar.entry, 'title')}`);
+        }
+        lines.push('', values.description);
+
+        const subject = i18n.t('inquiry.emailSubject', { name: values.name });
+        return `mailto:${this.getRecipient()}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(lines.join('\n'))}`;
+    }
+
+    /**
+     * Show the outcome of a submission
+     * @param {string|null} state - sending, success, error or fallback; null hides the message
+     * @param {string} message - Translated text
+     * @param {string} mailto - Link to offer when falling back to email
+     */
+    setStatus(state, message = '', mailto = null) {
+        const status = this.form.querySelector('.inquiry-status');
+        if (!status) return;
+
+        status.className = 'inquiry-status';
+        if (!state) {
+            status.hidden = true;
+            status.textContent = '';
+            return;
+        }
+
+        status.classList.add(`inquiry-status-${state}`);
+        status.replaceChildren(SafeDom.create('span', { text: message }));
+        if (mailto) {
+            status.appendChild(SafeDom.create('a', {
+                className: 'inquiry-mailto',
+                attrs: { href: mailto },
+                text: i18n.t('inquiry.openEmail')
+            }));
+        }
+        status.hidden = false;
+    }
+
+    /**
+     * Disable the submit button while a request is in flight
+     */
+    setSubmitting(submitting) {
+        this.submitting = submitting;
+        const button = this.form.querySelector('.inquiry-submit');
+        if (button) {
+            button.disabled = submitting;
+        }
+    }
+
+    /**
+     * Save the draft shortly after the visitor stops typing
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveDraft(), this.options.saveDelay);
+    }
+
+    /**
+     * Store the current values
+     */
+    saveDraft() {
+        clearTimeout(this.saveTimer);
+        const values = this.getValues();
+        const isEmpty = Object.values(values).every(value => value === '');
+
+        try {
+            if (isEmpty) {
+                localStorage.removeItem(CommissionInquiryForm.STORAGE_KEY);
+            } else {
+                localStorage.setItem(CommissionInquiryForm.STORAGE_KEY, JSON.stringify({ values, savedAt: Date.now() }));
+            }
+        } catch (error) {
+            // Storage full or unavailable; the form still works without a draft
+            return;
+        }
+        this.setDraftStatus(isEmpty ? '' : i18n.t('inquiry.draftSaved'));
+    }
+
+    /**
+     * Fill the form from a saved draft
+     */
+    restoreDraft() {
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(CommissionInquiryForm.STORAGE_KEY));
+        } catch (error) {
+            return;
+        }
+        if (!draft || !draft.values) return;
+
+        CommissionInquiryForm.FIELDS.forEach(name => {
+            const field = this.form.elements[name];
+            if (field && typeof draft.values[name] === 'string') {
+                field.value = draft.values[name];
+            }
+        });
+
+        // A select keeps its old value if the saved one is no longer an option
+        if (this.form.elements.similarTo.value !== draft.values.similarTo) {
+            this.form.elements.similarTo.value = '';
+        }
+        this.setDraftStatus(i18n.t('inquiry.draftRestored'));
+    }
+
+    /**
+     * Forget the saved draft
+     */
+    clearDraft() {
+        clearTimeout(this.saveTimer);
+        try {
+            localStorage.removeItem(CommissionInquiryForm.STORAGE_KEY);
+        } catch (error) {
+            // Storage unavailable (e.g. private browsing)
+        }
+        this.setDraftStatus('');
+    }
+
+    /**
+     * Show whether a draft is saved
+     */
+    setDraftStatus(text) {
+        const draftStatus = this.form.querySelector('.inquiry-draft-status');
+        if (draftStatus) {
+            draftStatus.textContent = text;
+        }
+    }
+
+    /**
+     * Read a <meta name="..."> value
+     * @returns {string|null} Trimmed content, or null if unset
+     */
+    static readMeta(name) {
+        const meta = document.querySelector(`meta[name="${name}"]`);
+        return meta && meta.content.trim() ? meta.content.trim() : null;
+    }
+}
+
+CommissionInquiryForm.FIELDS = ['name', 'contact', 'budget', 'timeline', 'similarTo', 'description'];
+
+CommissionInquiryForm.RULES = {
+    name: { required: true, maxLength: 100 },
+    contact: { required: true, maxLength: 200 },
+    budget: { required: true },
+    timeline: { required: true },
+    similarTo: { required: false },
+    description: { required: true, minLength: 30, maxLength: 4000 }
+};
+
+CommissionInquiryForm.EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+CommissionInquiryForm.STORAGE_KEY = 'khaleddev:inquiry-draft';
+
+CommissionInquiryForm.DEFAULT_OPTIONS = {
+    endpoint: null, // Where inquiries are POSTed; read from <meta name="inquiry-endpoint">
+    email: null, // Recipient for the email fallback; read from <meta name="inquiry-email">
+    timeout: 10000, // Give up on the endpoint after this many milliseconds
+    saveDelay: 500 // Milliseconds after the last keystroke before the draft is saved
+};
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommissionInquiryForm;
+}
+
+// Make available globally for debugging
+window.CommissionInquiryForm = CommissionInquiryForm;
@@ -0,0 +1,437 @@
+/**
+ * Media Provider Registry
+ * Decides how each media item is shown, loaded and paused, so new hosts and formats can be added without touching the page manager
+ *
+ * A provider is an object with:
+ *   name         - Unique name, stored on thumbnails and players as data-media-provider / data-media-player
+ *   mediaTypes   - Media "type" values the provider handles (used to validate roblox-data.json)
+ *   priority     - Higher priorities are tried first (defaults to 0)
+ *   loadWhenVisible - Set to false to load thumbnails only when clicked, not when scrolled into view
+ *   match(media)                         - Whether the provider handles a media item
+ *   createThumbnail(media, context)      - Optional lightweight preview; return a .video-thumbnail to have load() called on demand
+ *   load(media, context, options)        - Create the full player; options are { thumbnail, autoplay }
+ *   onLoaded(player, media, context, options) - Optional hook once the player is in the document
+ *   pause(player, context)               - Optional; stop playback of a player created by load()
+ *
+ * The context is the page manager, which provides the shared element helpers (createImageElement, createVideoThumbnail, ...)
+ */
+class MediaProviderRegistry {
+    constructor() {
+        this.providers = [];
+    }
+
+    /**
+     * Register a provider, replacing any provider with the same name
+     * @param {Object} provider - Provider definition
+     * @returns {MediaProviderRegistry} The registry, for chaining
+     */
+    register(provider) {
+        if (!provider || !provider.name || typeof provider.match !== 'function' || typeof provider.load !== 'function') {
+            throw new Error('Media providers need a name, match() and load()');
+        }
+
+        this.unregister(provider.name);
+        this.providers.push(provider);
+
+        // Stable sort keeps registration order among equal priorities
+        this.providers.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+        return this;
+    }
+
+    /**
+     * Remove a provider by name
+     */
+    unregister(name) {
+        this.providers = this.providers.filter(provider => provider.name !== name);
+    }
+
+    /**
+     * Get a provider by name
+     * @returns {Object|null} Provider, or null
+     */
+    get(name) {
+        return this.providers.find(provider => provider.name === name) || null;
+    }
+
+    /**
+     * Find the provider for a media item
+     * @param {Object} media - Media item
+     * @returns {Object|null} First matching provider by priority, or null
+     */
+    resolve(media) {
+        return this.providers.find(provider => {
+            try {
+                return provider.match(media);
+            } catch (error) {
+                console.warn(`Media provider "${provider.name}" failed to match:`, error);
+                return false;
+            }
+        }) || null;
+    }
+
+    /**
+     * Get every media type handled by a registered provider
+     * @returns {Array} Distinct media type names
+     */
+    getMediaTypes() {
+        const types = new Set();
+        this.providers.forEach(provider => {
+            (provider.mediaTypes || []).forEach(type => types.add(type));
+        });
+        return Array.from(types);
+    }
+
+    /**
+     * Create a registry with the built-in providers
+     * @returns {MediaProviderRegistry} Registry ready for use
+     */
+    static createDefault() {
+        const registry = new MediaProviderRegistry();
+        MediaProviderRegistry.BUILT_IN_PROVIDERS.forEach(provider => registry.register(provider));
+        return registry;
+    }
+
+    /**
+     * Get the hostname of a media URL, or '' for relative and malformed URLs
+     */
+    static getHost(url) {
+        try {
+            return new URL(url, window.location.href).hostname.replace(/^www\./, '').toLowerCase();
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Check whether a URL's path ends in one of the given extensions
+     */
+    static hasExtension(url, extensions) {
+        const path = String(url || '').split(/[?#]/)[0].toLowerCase();
+        return extensions.some(extension => path.endsWith(`.${extension}`));
+    }
+
+    /**
+     * Create an embed iframe
+     */
+    static createIframe(src, title) {
+        return SafeDom.create('iframe', {
+            attrs: {
+                src,
+                title: title || i18n.t('media.embedTitle'),
+                allow: 'autoplay; fullscreen; picture-in-picture',
+                allowfullscreen: true
+            }
+        });
+    }
+
+    /**
+     * Create the preview shown for embeds that have no thumbnail service of their own
+     * @param {Object} media - Media item (poster is optional)
+     * @param {string} icon - Font Awesome classes for the host
+     */
+    static createEmbedPreview(media, icon) {
+        if (media.poster) {
+            return SafeDom.create('img', {
+                attrs: { src: media.poster, alt: i18n.localize(media, 'alt') || '', loading: 'lazy' }
+            });
+        }
+
+        return SafeDom.create('div', {
+            className: 'embed-placeholder',
+            attrs: { role: 'img', 'aria-label': i18n.localize(media, 'alt') || '' },
+            children: [SafeDom.icon(icon)]
+        });
+    }
+
+    /**
+     * Ask an embedded player to pause through postMessage
+     */
+    static postToIframe(iframe, message, origin) {
+        if (iframe.contentWindow) {
+            iframe.contentWindow.postMessage(JSON.stringify(message), origin);
+        }
+    }
+
+    /**
+     * Extract a YouTube video id from a URL
+     * @returns {string|null} 11 character video id, or null
+     */
+    static extractYouTubeId(url) {
+        const regExp = /^.*(youtu.be\/|v\/|u\/\w\/|embed\/|watch\?v=|&v=)([^#&?]*).*/;
+        const match = url.match(regExp);
+        return (match && /^[\w-]{11}$/.test(match[2])) ? match[2] : null;
+    }
+
+    /**
+     * Extract a Vimeo video id from a URL
+     */
+    static extractVimeoId(url) {
+        const match = url.match(/vimeo\.com\/(?:video\/|channels\/[\w-]+\/|groups\/[\w-]+\/videos\/)?(\d+)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Extract a Streamable video id from a URL
+     */
+    static extractStreamableId(url) {
+        const match = url.match(/streamable\.com\/(?:[eo]\/)?([a-z0-9]+)/i);
+        return match ? match[1] : null;
+    }
+}
+
+MediaProviderRegistry.BUILT_IN_PROVIDERS = [
+    {
+        name: 'youtube',
+        mediaTypes: ['video'],
+        priority: 10,
+        match: media => media.type === 'video' &&
+            ['youtube.com', 'm.youtube.com', 'youtu.be'].includes(MediaProviderRegistry.getHost(media.url)),
+        createThumbnail(media, context) {
+            const videoId = MediaProviderRegistry.extractYouTubeId(media.url);
+            if (!videoId) return context.createImageElement(media);
+
+            return context.createVideoThumbnail(
+                { 'data-media-provider': this.name },
+                SafeDom.create('img', {
+                    attrs: {
+                        src: `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`,
+                        alt: i18n.localize(media, 'alt') || '',
+                        loading: 'lazy'
+                    }
+                })
+            );
+        },
+        load(media, context, options) {
+            const videoId = MediaProviderRegistry.extractYouTubeId(media.url);
+            if (!videoId) return context.createImageElement(media);
+
+            // enablejsapi lets YouTubePlayerApi control the embed
+            const params = new URLSearchParams({ enablejsapi: '1', origin: window.location.origin });
+            if (options.autoplay) {
+                params.set('autoplay', '1');
+                params.set('mute', '1');
+            }
+            return MediaProviderRegistry.createIframe(
+                `https://www.youtube.com/embed/${encodeURIComponent(videoId)}?${params}`,
+                i18n.localize(media, 'alt')
+            );
+        },
+        onLoaded(player, media, context) {
+            if (player.tagName === 'IFRAME') {
+                context.setupYouTubePlayer(player);
+            }
+        },
+        pause(player, context) {
+            context.youtubeApi.pause(player);
+        }
+    },
+    {
+        name: 'vimeo',
+        mediaTypes: ['video'],
+        priority: 10,
+        match: media => media.type === 'video' &&
+            ['vimeo.com', 'player.vimeo.com'].includes(MediaProviderRegistry.getHost(media.url)) &&
+            MediaProviderRegistry.extractVimeoId(media.url) !== null,
+        createThumbnail(media, context) {
+            return context.createVideoThumbnail(
+                { 'data-media-provider': this.name },
+                MediaProviderRegistry.createEmbedPreview(media, 'fab fa-vimeo-v')
+            );
+        },
+        load(media, context, options) {
+            const videoId = MediaProviderRegistry.extractVimeoId(media.url);
+            const query = options.autoplay ? '?autoplay=1&muted=1' : '';
+            return MediaProviderRegistry.createIframe(`https://player.vimeo.com/video/${videoId}${query}`, i18n.localize(media, 'alt'));
+        },
+        pause(player) {
+            MediaProviderRegistry.postToIframe(player, { method: 'pause' }, 'https://player.vimeo.com');
+        }
+    },
+    {
+        name: 'streamable',
+        mediaTypes: ['video'],
+        priority: 10,
+        match: media => media.type === 'video' &&
+            MediaProviderRegistry.getHost(media.url) === 'streamable.com' &&
+            MediaProviderRegistry.extractStreamableId(media.url) !== null,
+        createThumbnail(media, context) {
+            return context.createVideoThumbnail(
+                { 'data-media-provider': this.name },
+                MediaProviderRegistry.createEmbedPreview(media, 'fas fa-film')
+            );
+        },
+        load(media, context, options) {
+            const videoId = MediaProviderRegistry.extractStreamableId(media.url);
+            const query = options.autoplay ? '?autoplay=1&muted=1' : '';
+            return MediaProviderRegistry.createIframe(`https://streamable.com/e/${videoId}${query}`, i18n.localize(media, 'alt'));
+        },
+        pause(player) {
+            // Streamable embeds speak the player.js protocol
+            MediaProviderRegistry.postToIframe(
+                player,
+                { context: 'player.js', version: '0.0.11', method: 'pause' },
+                'https://streamable.com'
+            );
+        }
+    },
+    {
+        name: 'local-video',
+        mediaTypes: ['video'],
+        priority: 0,
+        match: media => media.type === 'video',
+        createThumbnail(media, context) {
+            const video = SafeDom.create('video', {
+                attrs: { preload: 'none' },
+                children: [context.createVideoSource(media.url)]
+            });
+            context.applyVideoPoster(video, media);
+            return context.createVideoThumbnail({ 'data-media-provider': this.name }, video);
+        },
+        load(media, context, options) {
+            // Reuse the thumbnail's video so anything preloaded by preloadNeighbourSlides is kept
+            const thumbnailVideo = options.thumbnail && options.thumbnail.querySelector('video');
+            const video = thumbnailVideo || SafeDom.create('video', {
+                children: [context.createVideoSource(media.url)]
+            });
+            if (!thumbnailVideo) {
+                context.applyVideoPoster(video, media);
+            }
+
+            video.controls = true;
+            video.autoplay = options.autoplay;
+            video.muted = true;
+            if (video.preload === 'none' || video.preload === '') {
+                video.preload = 'metadata';
+            }
+            return video;
+        },
+        onLoaded(player, media, context, options) {
+            context.setupManagedVideo(player, media.url, options.autoplay);
+        },
+        pause(player) {
+            if (!player.paused) {
+                player.pause();
+            }
+        }
+    },
+    {
+        name: 'animated-image',
+        mediaTypes: ['image'],
+        priority: 10,
+        match: media => media.type === 'image' && MediaProviderRegistry.hasExtension(media.url, ['gif', 'webp']),
+        createThumbnail(media, context) {
+            // Show the first frame until the animation is loaded, so off-screen cards don't animate
+            const still = SafeDom.create('canvas', {
+                className: 'animated-image-still',
+                attrs: { role: 'img', 'aria-label': i18n.localize(media, 'alt') || '' }
+            });
+            const image = new Image();
+            image.addEventListener('load', () => {
+                const canvasContext = still.getContext('2d');
+                if (!canvasContext) return;
+                still.width = image.naturalWidth;
+                still.height = image.naturalHeight;
+                canvasContext.drawImage(image, 0, 0);
+            }, { once: true });
+            SafeDom.setAttribute(image, 'src', media.url);
+
+            return context.createVideoThumbnail({ 'data-media-provider': this.name }, still);
+        },
+        load(media, context) {
+            const player = context.createImageElement(media);
+            player.classList.add('animated-image');
+            player.setAttribute('data-animated-src', player.getAttribute('src') || '');
+
+            // Clicking toggles between the animation and a still frame
+            player.addEventListener('click', () => {
+                if (player.getAttribute('data-paused') === 'true') {
+                    context.pauseAllVideosExcept(player);
+                    player.src = player.getAttribute('data-animated-src');
+                    player.removeAttribute('data-paused');
+                } else {
+                    this.pause(player);
+                }
+            });
+            return player;
+        },
+        pause(player) {
+            if (player.getAttribute('data-paused') === 'true' || !player.complete) return;
+
+            // Canvas draws the first frame of an animated image, which stands in for "paused"
+            const canvas = document.createElement('canvas');
+            const canvasContext = canvas.getContext('2d');
+            if (!canvasContext) return;
+
+            try {
+                canvas.width = player.naturalWidth;
+                canvas.height = player.naturalHeight;
+                canvasContext.drawImage(player, 0, 0);
+                player.src = canvas.toDataURL();
+                player.setAttribute('data-paused', 'true');
+            } catch (error) {
+                // Cross-origin images taint the canvas; leave them animating
+            }
+        }
+    },
+    {
+        name: 'gallery',
+        mediaTypes: ['gallery'],
+        priority: 10,
+        loadWhenVisible: false,
+        match: media => media.type === 'gallery',
+        createThumbnail(media, context) {
+            const images = media.images || [];
+            const shown = images.slice(0, MediaProviderRegistry.GALLERY_PREVIEW_COUNT);
+            const hidden = images.length - shown.length;
+
+            return context.createVideoThumbnail(
+                { 'data-media-provider': this.name },
+                SafeDom.create('div', {
+                    className: `media-gallery-preview count-${shown.length}`,
+                    children: [
+                        ...shown.map(image => context.createImageElement(image)),
+                        hidden > 0 ? SafeDom.create('span', { className: 'media-gallery-more', text: `+${hidden}` }) : null
+                    ]
+                }),
+                'fas fa-images'
+            );
+        },
+        load(media, context) {
+            const images = media.images || [];
+            return SafeDom.create('div', {
+                className: 'media-gallery',
+                attrs: {
+                    role: 'list',
+                    'aria-label': i18n.localize(media, 'caption') || i18n.t('media.galleryLabel', { count: images.length })
+                },
+                children: images.map(image => SafeDom.create('figure', {
+                    attrs: { role: 'listitem' },
+                    children: [
+                        context.createImageElement(image),
+                        image.caption ? SafeDom.create('figcaption', { text: i18n.localize(image, 'caption') }) : null
+                    ]
+                }))
+            });
+        }
+    },
+    {
+        name: 'image',
+        mediaTypes: ['image'],
+        priority: -10,
+        // Fallback for anything no other provider claims
+        match: () => true,
+        load(media, context) {
+            return context.createImageElement(media);
+        }
+    }
+];
+
+MediaProviderRegistry.GALLERY_PREVIEW_COUNT = 4;
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MediaProviderRegistry;
+}
+
+// Make available globally for debugging
+window.MediaProviderRegistry = MediaProviderRegistry;
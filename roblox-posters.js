@@ -0,0 +1,239 @@
+/**
+ * Video Poster Cache
+ * Generates poster frames for local mp4 media and caches them in IndexedDB
+ */
+class VideoPosterCache {
+    constructor(options = {}) {
+        this.options = { ...VideoPosterCache.DEFAULT_OPTIONS, ...options };
+        this.objectUrls = new Map(); // Cache key -> object URL for this page view
+        this.pending = new Map(); // Media URL -> in-flight poster promise
+        this.queue = Promise.resolve(); // Generation runs one video at a time
+        this.dbPromise = null;
+    }
+
+    /**
+     * Get a poster for a video, generating and caching it if needed
+     * @param {string} url - Video URL
+     * @param {number} seekTime - Seconds into the video to capture (defaults to options.seekTime)
+     * @returns {Promise<string|null>} Object URL of the poster image, or null if unavailable
+     */
+    getPoster(url, seekTime = this.options.seekTime) {
+        const pendingKey = `${url}@${seekTime}`;
+        if (this.pending.has(pendingKey)) {
+            return this.pending.get(pendingKey);
+        }
+
+        const promise = this.resolvePoster(url, seekTime).catch(error => {
+            console.warn(`Could not create poster for ${url}:`, error);
+            return null;
+        });
+
+        this.pending.set(pendingKey, promise);
+        return promise;
+    }
+
+    /**
+     * Look up a cached poster or generate a new one
+     */
+    async resolvePoster(url, seekTime) {
+        const size = await this.getFileSize(url);
+        const key = `${url}|${size}|${seekTime}`;
+
+        if (this.objectUrls.has(key)) {
+            return this.objectUrls.get(key);
+        }
+
+        let blob = await this.readFromCache(key);
+        if (!blob) {
+            blob = await this.enqueue(() => this.generatePoster(url, seekTime));
+            await this.writeToCache(key, url, blob);
+        }
+
+        const objectUrl = URL.createObjectURL(blob);
+        this.objectUrls.set(key, objectUrl);
+        return objectUrl;
+    }
+
+    /**
+     * Run generation tasks one after another so only one video decodes at a time
+     */
+    enqueue(task) {
+        const run = this.queue.then(task, task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Get a video's size in bytes so a replaced file gets a new poster
+     * @returns {Promise<string>} Content length, or 'unknown'
+     */
+    async getFileSize(url) {
+        try {
+            const response = await fetch(url, { method: 'HEAD' });
+            return (response.ok && response.headers.get('content-length')) || 'unknown';
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+
+    /**
+     * Seek a detached video to the capture time and draw the frame to a canvas
+     * @returns {Promise<Blob>} JPEG image of the frame
+     */
+    generatePoster(url, seekTime) {
+        return new Promise((resolve, reject) => {
+            const video = document.createElement('video');
+            video.muted = true;
+            video.preload = 'auto';
+            video.playsInline = true;
+
+            const timeout = setTimeout(() => fail(new Error('Timed out seeking video')), this.options.timeout);
+
+            const finish = () => {
+                clearTimeout(timeout);
+                video.removeAttribute('src');
+                video.load();
+            };
+
+            const fail = (error) => {
+                finish();
+                reject(error);
+            };
+
+            video.addEventListener('loadedmetadata', () => {
+                // Short clips are captured halfway through instead
+                const duration = Number.isFinite(video.duration) ? video.duration : seekTime;
+                video.currentTime = Math.min(seekTime, duration / 2);
+            }, { once: true });
+
+            video.addEventListener('seeked', () => {
+                try {
+                    const scale = Math.min(1, this.options.maxWidth / (video.videoWidth || this.options.maxWidth));
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.round((video.videoWidth || this.options.maxWidth) * scale);
+                    canvas.height = Math.round((video.videoHeight || this.options.maxWidth * 9 / 16) * scale);
+                    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+                    canvas.toBlob(blob => {
+                        finish();
+                        if (blob) {
+                            resolve(blob);
+                        } else {
+                            reject(new Error('Canvas produced no image'));
+                        }
+                    }, 'image/jpeg', this.options.quality);
+                } catch (error) {
+                    fail(error);
+                }
+            }, { once: true });
+
+            video.addEventListener('error', () => fail(new Error('Video failed to load')), { once: true });
+
+            video.src = url;
+        });
+    }
+
+    /**
+     * Open the IndexedDB database, or resolve null if IndexedDB is unavailable
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise(resolve => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            let request;
+            try {
+                request = window.indexedDB.open(VideoPosterCache.DB_NAME, 1);
+            } catch (error) {
+                resolve(null);
+                return;
+            }
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(VideoPosterCache.STORE_NAME, { keyPath: 'key' });
+                store.createIndex('url', 'url');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Poster cache unavailable:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Read a cached poster
+     * @returns {Promise<Blob|null>} Cached image, or null
+     */
+    async readFromCache(key) {
+        const db = await this.openDatabase();
+        if (!db) return null;
+
+        return new Promise(resolve => {
+            const request = db.transaction(VideoPosterCache.STORE_NAME, 'readonly')
+                .objectStore(VideoPosterCache.STORE_NAME)
+                .get(key);
+            request.onsuccess = () => resolve(request.result ? request.result.blob : null);
+            request.onerror = () => resolve(null);
+        });
+    }
+
+    /**
+     * Store a poster, replacing any older poster for the same video
+     */
+    async writeToCache(key, url, blob) {
+        const db = await this.openDatabase();
+        if (!db) return;
+
+        return new Promise(resolve => {
+            const transaction = db.transaction(VideoPosterCache.STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(VideoPosterCache.STORE_NAME);
+
+            store.index('url').openCursor(IDBKeyRange.only(url)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (cursor.value.key !== key) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+            store.put({ key, url, blob, createdAt: Date.now() });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => resolve();
+        });
+    }
+
+    /**
+     * Release object URLs created for this page view
+     */
+    cleanup() {
+        this.objectUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+        this.objectUrls.clear();
+        this.pending.clear();
+    }
+}
+
+VideoPosterCache.DB_NAME = 'khaleddev-media';
+VideoPosterCache.STORE_NAME = 'posters';
+
+VideoPosterCache.DEFAULT_OPTIONS = {
+    seekTime: 1, // Seconds into the video to capture
+    maxWidth: 640, // Posters are scaled down to this width
+    quality: 0.8, // JPEG quality
+    timeout: 15000 // Give up on a video after this many milliseconds
+};
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VideoPosterCache;
+}
+
+// Make available globally for debugging
+window.VideoPosterCache = VideoPosterCache;
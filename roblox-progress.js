@@ -0,0 +1,142 @@
+/**
+ * Video Progress Store
+ * Remembers playback positions of managed videos in localStorage, keyed by media URL
+ */
+class VideoProgressStore {
+    constructor(options = {}) {
+        this.options = { ...VideoProgressStore.DEFAULT_OPTIONS, ...options };
+        this.pruneExpired();
+    }
+
+    /**
+     * Get the saved position for a video
+     * @param {string} url - Media URL
+     * @returns {Object|null} Saved { time, duration, updatedAt }, or null
+     */
+    get(url) {
+        const record = this.read(this.getKey(url));
+        if (!record || typeof record.time !== 'number') return null;
+
+        // Positions too close to either end aren't worth resuming
+        if (record.time < this.options.minTime) return null;
+        if (record.duration && record.duration - record.time < this.options.endMargin) return null;
+
+        return record;
+    }
+
+    /**
+     * Save a video's position
+     * @param {string} url - Media URL
+     * @param {number} time - Current time in seconds
+     * @param {number} duration - Duration in seconds
+     */
+    save(url, time, duration) {
+        if (!Number.isFinite(time)) return;
+
+        this.write(this.getKey(url), {
+            time,
+            duration: Number.isFinite(duration) ? duration : null,
+            updatedAt: Date.now()
+        });
+    }
+
+    /**
+     * Forget a video's position
+     * @param {string} url - Media URL
+     */
+    clear(url) {
+        try {
+            localStorage.removeItem(this.getKey(url));
+        } catch (error) {
+            // Storage unavailable (e.g. private browsing)
+        }
+    }
+
+    /**
+     * Remove positions that haven't been updated in a while
+     */
+    pruneExpired() {
+        try {
+            const cutoff = Date.now() - this.options.maxAge;
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(VideoProgressStore.KEY_PREFIX)) {
+                    keys.push(key);
+                }
+            }
+
+            keys.forEach(key => {
+                const record = this.read(key);
+                if (!record || !record.updatedAt || record.updatedAt < cutoff) {
+                    localStorage.removeItem(key);
+                }
+            });
+        } catch (error) {
+            // Storage unavailable (e.g. private browsing)
+        }
+    }
+
+    /**
+     * Format seconds as m:ss or h:mm:ss
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Formatted time
+     */
+    static formatTime(seconds) {
+        const total = Math.floor(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+            : `${minutes}:${secs}`;
+    }
+
+    /**
+     * Build the storage key for a media URL
+     */
+    getKey(url) {
+        return `${VideoProgressStore.KEY_PREFIX}${url}`;
+    }
+
+    /**
+     * Read and parse a stored record
+     */
+    read(key) {
+        try {
+            const value = localStorage.getItem(key);
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Serialize and store a record
+     */
+    write(key, record) {
+        try {
+            localStorage.setItem(key, JSON.stringify(record));
+        } catch (error) {
+            // Storage full or unavailable; playback still works without it
+        }
+    }
+}
+
+VideoProgressStore.KEY_PREFIX = 'khaleddev:video-progress:';
+
+VideoProgressStore.DEFAULT_OPTIONS = {
+    minTime: 5, // Seconds watched before a position is worth resuming
+    endMargin: 5, // Positions this close to the end count as finished
+    saveInterval: 2, // Seconds of playback between saves
+    maxAge: 30 * 24 * 60 * 60 * 1000 // Forget positions after 30 days
+};
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VideoProgressStore;
+}
+
+// Make available globally for debugging
+window.VideoProgressStore = VideoProgressStore;
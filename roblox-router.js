@@ -0,0 +1,232 @@
+/**
+ * Roblox Projects Hash Router
+ * Handles deep links to a card (#steal-a-boat), its detail view (#steal-a-boat/details)
+ * or a slideshow slide (#steal-a-boat/slide/2)
+ * Slide numbers in the hash are 1-based, matching the media counter shown on each card
+ */
+class RobloxHashRouter {
+    constructor(manager) {
+        this.manager = manager;
+        this.applyingRoute = false;
+        this.highlightTimeout = null;
+        this.pushedSlideshow = false; // Whether the open slideshow added the current history entry
+        this.hashBeforeSlideshow = ''; // Hash of the entry going back from the slideshow returns to
+    }
+
+    /**
+     * Apply the initial hash and listen for back/forward navigation
+     */
+    setup() {
+        window.addEventListener('hashchange', () => this.applyRoute(this.parseHash()));
+        this.applyRoute(this.parseHash());
+    }
+
+    /**
+     * Parse the current location hash
+     * @returns {Object|null} Route with entry id, optional 0-based slide index and whether it names the detail view
+     */
+    parseHash() {
+        // Matched before decoding, so an id containing "/" (encoded as %2F) stays one segment
+        const match = window.location.hash.replace(/^#/, '').match(/^([^/]+)(?:\/slide\/(\d+)|\/(details))?$/);
+        if (!match) return null;
+
+        let id;
+        try {
+            id = decodeURIComponent(match[1]);
+        } catch (error) {
+            return null;
+        }
+
+        return {
+            id,
+            slideIndex: match[2] !== undefined ? Math.max(parseInt(match[2], 10) - 1, 0) : null,
+            details: match[3] !== undefined
+        };
+    }
+
+    /**
+     * Build a hash for an entry and optional 0-based slide index
+     */
+    buildHash(id, slideIndex = null) {
+        const encodedId = encodeURIComponent(id);
+        return slideIndex === null ? `#${encodedId}` : `#${encodedId}/slide/${slideIndex + 1}`;
+    }
+
+    /**
+     * Build the hash for an entry's detail view
+     */
+    buildDetailsHash(id) {
+        return `#${encodeURIComponent(id)}/details`;
+    }
+
+    /**
+     * Bring the page in line with a route
+     * @param {Object|null} route - Parsed route
+     */
+    applyRoute(route) {
+        this.applyingRoute = true;
+
+        try {
+            if (!route) {
+                if (this.manager.currentSlideshow) {
+                    this.manager.closeSlideshow();
+                }
+                this.manager.detailView.close();
+                return;
+            }
+
+            const found = this.manager.findEntry(route.id);
+            if (!found) {
+                // Plain in-page anchors such as #inquiry aren't entries
+                const anchor = route.slideIndex === null && !route.details ? document.getElementById(route.id) : null;
+                if (anchor) {
+                    this.manager.detailView.close();
+                    anchor.scrollIntoView({ block: 'start' });
+                    return;
+                }
+                console.warn(`No project or commission with id "${route.id}"`);
+                return;
+            }
+
+            if (route.details) {
+                if (this.manager.currentSlideshow) {
+                    this.manager.closeSlideshow();
+                }
+                if (this.manager.detailView.currentId !== route.id) {
+                    this.manager.detailView.open(route.id);
+                }
+                return;
+            }
+
+            if (route.slideIndex === null) {
+                if (this.manager.currentSlideshow) {
+                    this.manager.closeSlideshow();
+                }
+                this.highlightEntry(route.id);
+                return;
+            }
+
+            const media = found.entry.media || [];
+            if (media.length === 0) {
+                this.highlightEntry(route.id);
+                return;
+            }
+
+            const slideIndex = route.slideIndex < media.length ? route.slideIndex : 0;
+            if (this.manager.currentSlideshow && this.manager.currentEntryId === route.id) {
+                this.manager.goToSlide(slideIndex);
+            } else {
+                this.manager.openSlideshow(media, slideIndex, route.id);
+            }
+        } finally {
+            this.applyingRoute = false;
+        }
+    }
+
+    /**
+     * Scroll to and highlight a rendered card
+     * @param {string} id - Entry id
+     */
+    highlightEntry(id) {
+        // Cards are hidden while an entry's details are shown
+        this.manager.detailView.close();
+
+        // Cards further down a list are only rendered as they're scrolled to
+        this.manager.renderEntryCard(id);
+        let card = this.findCard(id);
+
+        // The entry may be hidden by the current filters
+        if (!card && this.manager.filterBar.isActive()) {
+            this.manager.filterBar.clearFilters();
+            this.manager.renderEntryCard(id);
+            card = this.findCard(id);
+        }
+
+        if (!card) return;
+
+        document.querySelectorAll('.deep-link-target').forEach(item => {
+            item.classList.remove('deep-link-target');
+        });
+
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.add('deep-link-target');
+
+        clearTimeout(this.highlightTimeout);
+        this.highlightTimeout = setTimeout(() => {
+            card.classList.remove('deep-link-target');
+        }, 3000);
+    }
+
+    /**
+     * Find the rendered card (or timeline item) for an entry
+     */
+    findCard(id) {
+        return Array.from(document.querySelectorAll('.project-item[data-project-id], .timeline-item[data-project-id]'))
+            .find(item => item.getAttribute('data-project-id') === id) || null;
+    }
+
+    /**
+     * Record an opened slideshow as a new history entry
+     */
+    onSlideshowOpened() {
+        if (this.applyingRoute || !this.manager.currentEntryId) return;
+
+        const hash = this.buildHash(this.manager.currentEntryId, this.manager.currentSlideIndex);
+        if (this.pushedSlideshow) {
+            // Another gallery opened over this one reuses its entry
+            window.history.replaceState(window.history.state, '', this.buildUrl(hash));
+        } else {
+            this.hashBeforeSlideshow = window.location.hash;
+            window.history.pushState(window.history.state, '', this.buildUrl(hash));
+            this.pushedSlideshow = true;
+        }
+    }
+
+    /**
+     * Keep the hash in step with the current slide
+     */
+    onSlideChanged() {
+        if (this.applyingRoute || !this.manager.currentEntryId) return;
+
+        const hash = this.buildHash(this.manager.currentEntryId, this.manager.currentSlideIndex);
+        window.history.replaceState(window.history.state, '', this.buildUrl(hash));
+    }
+
+    /**
+     * Return to the entry the slideshow was opened from, or, when it was opened by a link
+     * or going back would land somewhere else, clear the hash or point it at the detail view it sits over
+     */
+    onSlideshowClosed() {
+        const pushed = this.pushedSlideshow;
+        this.pushedSlideshow = false;
+
+        // Closed by back/forward navigation, which has already moved the history
+        if (this.applyingRoute || !window.location.hash) return;
+
+        const detailId = this.manager.detailView.currentId;
+        const hash = detailId ? this.buildDetailsHash(detailId) : '';
+
+        // Going back to another card's hash would scroll the page to that card
+        if (pushed && this.hashBeforeSlideshow.replace(/^#$/, '') === hash) {
+            window.history.back();
+            return;
+        }
+
+        window.history.replaceState(window.history.state, '', this.buildUrl(hash));
+    }
+
+    /**
+     * Build a URL for the current page with a new hash
+     */
+    buildUrl(hash) {
+        return `${window.location.pathname}${window.location.search}${hash}`;
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RobloxHashRouter;
+}
+
+// Make available globally for debugging
+window.RobloxHashRouter = RobloxHashRouter;
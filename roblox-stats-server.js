@@ -0,0 +1,196 @@
+/**
+ * Roblox Game Stats Server
+ * A small Node (18+) server for the endpoint roblox-stats.js reads, and the tool that refreshes
+ * the checked-in roblox-stats.json snapshot. It has no dependencies.
+ *
+ *   node roblox-stats-server.js             Proxy Roblox's public game APIs (they don't allow CORS)
+ *   node roblox-stats-server.js --mock      Serve made-up numbers for local development, no network needed
+ *   node roblox-stats-server.js --snapshot  Write live stats for every gameUrl in roblox-data.json to roblox-stats.json
+ *
+ * Add --port=8787 to change the port, then point <meta name="roblox-stats-endpoint"> in roblox.html
+ * at http://localhost:8787/stats
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+class RobloxStatsServer {
+    constructor(options = {}) {
+        this.options = { ...RobloxStatsServer.DEFAULT_OPTIONS, ...options };
+        this.universeIds = new Map(); // Place id -> universe id; these never change
+    }
+
+    /**
+     * Get stats for place ids in the endpoint format
+     * @param {Array<string>} placeIds - Roblox place ids
+     * @returns {Promise<Object>} { generatedAt, stats: place id -> { visits, favorites, playing } }
+     */
+    async getStats(placeIds) {
+        const stats = this.options.mock
+            ? RobloxStatsServer.mockStats(placeIds)
+            : await this.fetchLiveStats(placeIds);
+        return { generatedAt: new Date().toISOString(), stats };
+    }
+
+    /**
+     * Look the games up on Roblox: place ids map to universe ids, which the games API takes
+     */
+    async fetchLiveStats(placeIds) {
+        const universes = new Map(); // Universe id -> place id
+        await Promise.all(placeIds.map(async placeId => {
+            try {
+                universes.set(String(await this.getUniverseId(placeId)), placeId);
+            } catch (error) {
+                console.warn(`Skipping place ${placeId}:`, error.message);
+            }
+        }));
+        if (universes.size === 0) return {};
+
+        const data = await RobloxStatsServer.fetchJson(
+            `${this.options.gamesApi}?universeIds=${Array.from(universes.keys()).join(',')}`
+        );
+
+        const stats = {};
+        (data.data || []).forEach(game => {
+            const placeId = universes.get(String(game.id));
+            if (placeId) {
+                stats[placeId] = { visits: game.visits, favorites: game.favoritedCount, playing: game.playing };
+            }
+        });
+        return stats;
+    }
+
+    /**
+     * Get the universe id for a place, once
+     */
+    async getUniverseId(placeId) {
+        if (!this.universeIds.has(placeId)) {
+            const data = await RobloxStatsServer.fetchJson(this.options.universeApi.replace('{placeId}', placeId));
+            if (!data.universeId) {
+                throw new Error('no universe id in the response');
+            }
+            this.universeIds.set(placeId, data.universeId);
+        }
+        return this.universeIds.get(placeId);
+    }
+
+    /**
+     * Serve GET /stats?placeIds=1,2 with CORS headers
+     */
+    listen() {
+        const server = http.createServer(async (request, response) => {
+            const url = new URL(request.url, `http://${request.headers.host}`);
+            const headers = { 'Access-Control-Allow-Origin': '*', 'Content-Type': 'application/json' };
+
+            if (request.method !== 'GET' || url.pathname !== '/stats') {
+                response.writeHead(404, headers);
+                response.end(JSON.stringify({ error: 'Not found' }));
+                return;
+            }
+
+            const placeIds = (url.searchParams.get('placeIds') || '').split(',').filter(id => /^\d+$/.test(id));
+            try {
+                const body = await this.getStats(placeIds);
+                response.writeHead(200, headers);
+                response.end(JSON.stringify(body));
+            } catch (error) {
+                console.error('Could not get stats:', error);
+                response.writeHead(502, headers);
+                response.end(JSON.stringify({ error: 'Roblox API unavailable' }));
+            }
+        });
+
+        server.listen(this.options.port, () => {
+            const mode = this.options.mock ? 'mock' : 'live';
+            console.log(`Serving ${mode} stats at http://localhost:${this.options.port}/stats`);
+        });
+        return server;
+    }
+
+    /**
+     * Rewrite the snapshot with live stats for every entry's gameUrl
+     */
+    async writeSnapshot() {
+        const data = JSON.parse(fs.readFileSync(this.options.dataFile, 'utf8'));
+        const placeIds = [...(data.projects || []), ...(data.commissions || [])]
+            .map(entry => RobloxStatsServer.getPlaceId(entry.gameUrl))
+            .filter(Boolean);
+
+        const snapshot = JSON.parse(fs.readFileSync(this.options.snapshotFile, 'utf8'));
+        const { generatedAt, stats } = await this.getStats(Array.from(new Set(placeIds)));
+        if (Object.keys(stats).length === 0) {
+            // Keep the last good snapshot rather than replacing it with nothing
+            throw new Error('no stats could be fetched');
+        }
+        fs.writeFileSync(this.options.snapshotFile, `${JSON.stringify({ ...snapshot, generatedAt, stats }, null, 2)}\n`);
+        console.log(`Wrote stats for ${Object.keys(stats).length} of ${placeIds.length} games to ${this.options.snapshotFile}`);
+    }
+
+    /**
+     * Fetch and parse JSON, failing on HTTP errors
+     */
+    static async fetchJson(url) {
+        const response = await fetch(url, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Get the place id from a roblox.com/games/{placeId}/... URL (same rules as RobloxStatsProvider)
+     */
+    static getPlaceId(gameUrl) {
+        const match = typeof gameUrl === 'string' && gameUrl.match(/^https:\/\/(?:[\w-]+\.)?roblox\.com\/games\/(\d+)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Stable made-up numbers derived from each place id, with "playing" changing per request
+     */
+    static mockStats(placeIds) {
+        const stats = {};
+        placeIds.forEach(placeId => {
+            const seed = Number(placeId.slice(-6));
+            stats[placeId] = {
+                visits: 10000 + (seed % 90000) * 13,
+                favorites: 100 + (seed % 5000),
+                playing: Math.floor(Math.random() * 40)
+            };
+        });
+        return stats;
+    }
+}
+
+RobloxStatsServer.DEFAULT_OPTIONS = {
+    port: 8787,
+    mock: false,
+    universeApi: 'https://apis.roblox.com/universes/v1/places/{placeId}/universe',
+    gamesApi: 'https://games.roblox.com/v1/games',
+    dataFile: path.join(__dirname, 'roblox-data.json'),
+    snapshotFile: path.join(__dirname, 'roblox-stats.json')
+};
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const portArg = args.find(arg => arg.startsWith('--port='));
+    const server = new RobloxStatsServer({
+        mock: args.includes('--mock'),
+        ...(portArg ? { port: Number(portArg.split('=')[1]) } : {})
+    });
+
+    if (args.includes('--snapshot') && server.options.mock) {
+        // The snapshot is shown to visitors, so it only ever holds real numbers
+        console.error('--snapshot can\'t be combined with --mock');
+        process.exitCode = 1;
+    } else if (args.includes('--snapshot')) {
+        server.writeSnapshot().catch(error => {
+            console.error('Could not write the snapshot:', error);
+            process.exitCode = 1;
+        });
+    } else {
+        server.listen();
+    }
+}
+
+module.exports = RobloxStatsServer;
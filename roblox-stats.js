@@ -0,0 +1,250 @@
+/**
+ * Roblox Game Stats Provider
+ * Fetches visits, favourites and concurrent players for each entry's game by place id,
+ * caches them in localStorage for a while and falls back to a checked-in snapshot
+ *
+ * The endpoint and the snapshot file share one format, so any server (including a local mock)
+ * can stand in for the real one:
+ *
+ *   GET {endpoint}?placeIds=124791055806257,128119503983854
+ *   { "generatedAt": "2026-10-01T12:00:00Z",
+ *     "stats": { "124791055806257": { "visits": 1200, "favorites": 85, "playing": 4 } } }
+ *
+ * Roblox's own APIs don't allow cross-origin requests, so the endpoint is normally a small proxy;
+ * roblox-stats-server.js is one, and also serves mock numbers and refreshes the snapshot
+ */
+class RobloxStatsProvider {
+    constructor(options = {}) {
+        this.options = { ...RobloxStatsProvider.DEFAULT_OPTIONS, ...options };
+        this.memory = new Map(); // Place id -> record, for when localStorage is unavailable
+        this.queue = new Map(); // Place id -> resolvers waiting for the next batch
+        this.flushTimer = null;
+        this.snapshotPromise = null;
+    }
+
+    /**
+     * Get stats for a game
+     * Requests made in the same tick are batched into one endpoint call
+     * @param {string} placeId - Roblox place id
+     * @returns {Promise<Object|null>} { stats, fetchedAt, source: 'live'|'cache'|'snapshot' }, or null if unknown;
+     *     'cache' is an expired live result used because the endpoint couldn't be reached
+     */
+    get(placeId) {
+        const cached = this.readCache(placeId);
+        if (cached && Date.now() - cached.fetchedAt < this.options.ttl) {
+            return Promise.resolve(cached);
+        }
+
+        return new Promise(resolve => {
+            if (!this.queue.has(placeId)) {
+                this.queue.set(placeId, []);
+            }
+            this.queue.get(placeId).push(resolve);
+
+            if (this.flushTimer === null) {
+                this.flushTimer = setTimeout(() => this.flush(), 0);
+            }
+        });
+    }
+
+    /**
+     * Fetch every queued place id at once and resolve the waiting callers
+     */
+    async flush() {
+        const pending = this.queue;
+        this.queue = new Map();
+        this.flushTimer = null;
+
+        const placeIds = Array.from(pending.keys());
+        let live = {};
+        try {
+            live = await this.fetchLive(placeIds);
+        } catch (error) {
+            console.warn('Could not load live game stats, using the snapshot:', error);
+        }
+
+        const snapshot = await this.loadSnapshot();
+
+        pending.forEach((resolvers, placeId) => {
+            let record = null;
+            if (live[placeId]) {
+                record = { stats: live[placeId], fetchedAt: Date.now(), source: 'live' };
+                this.writeCache(placeId, record);
+            } else {
+                // An expired live result is still better than an older snapshot, but it's no longer live
+                const cached = this.readCache(placeId);
+                record = [cached && { ...cached, source: 'cache' }, snapshot[placeId]]
+                    .filter(Boolean)
+                    .sort((a, b) => b.fetchedAt - a.fetchedAt)[0] || null;
+            }
+
+            resolvers.forEach(resolve => resolve(record));
+        });
+    }
+
+    /**
+     * Request stats from the configured endpoint
+     * @param {Array<string>} placeIds - Place ids to look up
+     * @returns {Promise<Object>} Place id -> stats; empty when no endpoint is configured
+     */
+    async fetchLive(placeIds) {
+        if (this.options.fetchStats) {
+            return RobloxStatsProvider.normalize(await this.options.fetchStats(placeIds)).stats;
+        }
+        if (!this.options.endpoint) return {};
+
+        const url = new URL(this.options.endpoint, window.location.href);
+        url.searchParams.set('placeIds', placeIds.join(','));
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.options.timeout);
+        try {
+            const response = await fetch(url.href, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return RobloxStatsProvider.normalize(await response.json()).stats;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Load the checked-in snapshot, once
+     * @returns {Promise<Object>} Place id -> record
+     */
+    loadSnapshot() {
+        if (!this.snapshotPromise) {
+            this.snapshotPromise = fetch(this.options.snapshotUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    const { stats, generatedAt } = RobloxStatsProvider.normalize(data);
+                    if (Object.keys(stats).length === 0 && !this.options.endpoint && !this.options.fetchStats) {
+                        // Nothing to show until one of them is set up; the cards simply go without stats
+                        console.warn(`No game stats: run \`node roblox-stats-server.js --snapshot\` to fill ${this.options.snapshotUrl}, or set <meta name="roblox-stats-endpoint">`);
+                    }
+                    const records = {};
+                    Object.entries(stats).forEach(([placeId, values]) => {
+                        records[placeId] = { stats: values, fetchedAt: generatedAt || 0, source: 'snapshot' };
+                    });
+                    return records;
+                })
+                .catch(error => {
+                    console.warn(`Could not load ${this.options.snapshotUrl}:`, error);
+                    return {};
+                });
+        }
+        return this.snapshotPromise;
+    }
+
+    /**
+     * Read a cached record, from memory or localStorage
+     */
+    readCache(placeId) {
+        if (this.memory.has(placeId)) {
+            return this.memory.get(placeId);
+        }
+
+        try {
+            const value = localStorage.getItem(`${RobloxStatsProvider.KEY_PREFIX}${placeId}`);
+            const record = value ? JSON.parse(value) : null;
+            if (record && typeof record.fetchedAt === 'number' && record.stats) {
+                this.memory.set(placeId, record);
+                return record;
+            }
+        } catch (error) {
+            // Storage unavailable or the record is corrupt
+        }
+        return null;
+    }
+
+    /**
+     * Cache a live record
+     */
+    writeCache(placeId, record) {
+        this.memory.set(placeId, record);
+        try {
+            localStorage.setItem(`${RobloxStatsProvider.KEY_PREFIX}${placeId}`, JSON.stringify(record));
+        } catch (error) {
+            // Storage full or unavailable; the in-memory copy lasts for this page view
+        }
+    }
+
+    /**
+     * Get the place id from a roblox.com/games/{placeId}/... URL
+     * @returns {string|null} Place id, or null if the URL isn't a Roblox game page
+     */
+    static getPlaceId(gameUrl) {
+        if (!gameUrl) return null;
+
+        try {
+            const url = new URL(gameUrl);
+            if (url.hostname !== 'roblox.com' && !url.hostname.endsWith('.roblox.com')) return null;
+
+            const match = url.pathname.match(/^\/games\/(\d+)/);
+            return match ? match[1] : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Keep only well-formed numbers from an endpoint or snapshot response
+     * @returns {Object} { stats: place id -> { visits, favorites, playing }, generatedAt }
+     */
+    static normalize(data) {
+        const stats = {};
+        const source = data && typeof data.stats === 'object' && data.stats !== null ? data.stats : {};
+
+        Object.entries(source).forEach(([placeId, values]) => {
+            if (!/^\d+$/.test(placeId) || !values || typeof values !== 'object') return;
+
+            const clean = {};
+            RobloxStatsProvider.FIELDS.forEach(field => {
+                if (Number.isFinite(values[field]) && values[field] >= 0) {
+                    clean[field] = values[field];
+                }
+            });
+            if (Object.keys(clean).length > 0) {
+                stats[placeId] = clean;
+            }
+        });
+
+        const generatedAt = data ? Date.parse(data.generatedAt) : NaN;
+        return { stats, generatedAt: Number.isNaN(generatedAt) ? null : generatedAt };
+    }
+
+    /**
+     * Read the endpoint from <meta name="roblox-stats-endpoint">, so it can be changed without touching code
+     * @returns {string|null} Endpoint URL, or null if unset
+     */
+    static getConfiguredEndpoint() {
+        const meta = document.querySelector('meta[name="roblox-stats-endpoint"]');
+        return meta && meta.content.trim() ? meta.content.trim() : null;
+    }
+}
+
+RobloxStatsProvider.FIELDS = ['visits', 'favorites', 'playing'];
+
+RobloxStatsProvider.KEY_PREFIX = 'khaleddev:roblox-stats:';
+
+RobloxStatsProvider.DEFAULT_OPTIONS = {
+    endpoint: null, // Live stats URL; without one only the snapshot is used
+    snapshotUrl: 'roblox-stats.json',
+    ttl: 15 * 60 * 1000, // Milliseconds before a live result is fetched again
+    timeout: 8000, // Give up on the endpoint after this many milliseconds
+    fetchStats: null // Replacement fetcher taking place ids and returning the endpoint format, for tests
+};
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RobloxStatsProvider;
+}
+
+// Make available globally for debugging
+window.RobloxStatsProvider = RobloxStatsProvider;
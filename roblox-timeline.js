@@ -0,0 +1,251 @@
+/**
+ * Roblox Projects Timeline
+ * Renders projects and commissions together on a vertical timeline grouped by year and month
+ */
+class RobloxTimeline {
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * Render the timeline from the entries matching the current filters
+     */
+    render() {
+        const container = document.getElementById('timeline-container');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const entries = [
+            ...this.manager.filterBar.filterEntries(this.manager.projects).map(entry => ({ entry, type: 'project' })),
+            ...this.manager.filterBar.filterEntries(this.manager.commissions).map(entry => ({ entry, type: 'commission' }))
+        ];
+
+        if (entries.length === 0 && this.manager.filterBar.isActive()) {
+            container.appendChild(this.manager.filterBar.createEmptyState('timeline'));
+            return;
+        }
+
+        container.appendChild(this.createLegend());
+
+        const timeline = SafeDom.create('div', { className: 'timeline' });
+        this.groupEntries(entries).forEach(group => timeline.appendChild(this.createYearGroup(group)));
+        container.appendChild(timeline);
+    }
+
+    /**
+     * Remove the rendered timeline
+     */
+    clear() {
+        const container = document.getElementById('timeline-container');
+        if (container) {
+            container.innerHTML = '';
+        }
+    }
+
+    /**
+     * Group entries by the year and month they started, newest first
+     * Entries with only a year go after that year's months; undated entries come last
+     * @param {Array} entries - { entry, type } pairs
+     * @returns {Array} Year groups: { year, months: [{ month, items }], items }
+     */
+    groupEntries(entries) {
+        const years = new Map();
+        const undated = [];
+
+        entries.forEach(item => {
+            const date = this.getAnchorDate(item.entry);
+            if (!date) {
+                undated.push(item);
+                return;
+            }
+
+            if (!years.has(date.year)) {
+                years.set(date.year, { year: date.year, months: new Map(), items: [] });
+            }
+            const yearGroup = years.get(date.year);
+
+            if (!date.month) {
+                yearGroup.items.push(item);
+                return;
+            }
+            if (!yearGroup.months.has(date.month)) {
+                yearGroup.months.set(date.month, { month: date.month, items: [] });
+            }
+            yearGroup.months.get(date.month).items.push(item);
+        });
+
+        const byDateDesc = (a, b) => RobloxTimeline.compareDates(
+            this.getAnchorValue(b.entry),
+            this.getAnchorValue(a.entry)
+        );
+
+        const groups = Array.from(years.values())
+            .sort((a, b) => b.year - a.year)
+            .map(yearGroup => ({
+                year: yearGroup.year,
+                months: Array.from(yearGroup.months.values())
+                    .sort((a, b) => b.month - a.month)
+                    .map(monthGroup => ({ month: monthGroup.month, items: monthGroup.items.sort(byDateDesc) })),
+                items: yearGroup.items
+            }));
+
+        if (undated.length > 0) {
+            groups.push({ year: null, months: [], items: undated });
+        }
+
+        return groups;
+    }
+
+    /**
+     * Get the date an entry is placed at on the timeline
+     */
+    getAnchorValue(entry) {
+        if (I18n.parseDate(entry.startDate)) return entry.startDate;
+        if (I18n.parseDate(entry.endDate)) return entry.endDate;
+        return null;
+    }
+
+    /**
+     * Get the parsed date an entry is placed at on the timeline
+     */
+    getAnchorDate(entry) {
+        return I18n.parseDate(this.getAnchorValue(entry));
+    }
+
+    /**
+     * Create the colour key for entry types
+     */
+    createLegend() {
+        return SafeDom.create('div', {
+            className: 'timeline-legend',
+            attrs: { role: 'list', 'aria-label': i18n.t('timeline.legend') },
+            children: RobloxTimeline.TYPES.map(type => SafeDom.create('span', {
+                className: `timeline-legend-item timeline-type-${type}`,
+                attrs: { role: 'listitem' },
+                children: [
+                    SafeDom.create('span', { className: 'timeline-swatch', attrs: { 'aria-hidden': 'true' } }),
+                    i18n.t(`timeline.${type}`)
+                ]
+            }))
+        });
+    }
+
+    /**
+     * Create a year heading with its months and entries
+     */
+    createYearGroup(group) {
+        const label = group.year === null
+            ? i18n.t('timeline.undated')
+            : i18n.formatDate(String(group.year));
+
+        const children = [SafeDom.create('h3', { className: 'timeline-year-label', text: label })];
+
+        group.months.forEach(monthGroup => {
+            const monthValue = `${group.year}-${String(monthGroup.month).padStart(2, '0')}`;
+            children.push(SafeDom.create('div', {
+                className: 'timeline-month',
+                children: [
+                    SafeDom.create('h4', {
+                        className: 'timeline-month-label',
+                        text: i18n.formatDate(monthValue, { year: undefined, month: 'long' })
+                    }),
+                    this.createEntryList(monthGroup.items)
+                ]
+            }));
+        });
+
+        if (group.items.length > 0) {
+            children.push(this.createEntryList(group.items));
+        }
+
+        return SafeDom.create('section', { className: 'timeline-year', children });
+    }
+
+    /**
+     * Create the list of entries for a month or year
+     */
+    createEntryList(items) {
+        return SafeDom.create('ol', {
+            className: 'timeline-entries',
+            children: items.map(item => this.createTimelineItem(item.entry, item.type))
+        });
+    }
+
+    /**
+     * Create one entry on the timeline
+     * @param {Object} entry - Project or commission
+     * @param {string} type - "project" or "commission"
+     */
+    createTimelineItem(entry, type) {
+        const dates = i18n.formatDateRange(entry.startDate, entry.endDate);
+        const meta = [
+            SafeDom.create('span', { className: 'timeline-type', text: i18n.t(`timeline.${type}`) }),
+            dates ? SafeDom.create('span', { className: 'timeline-dates', text: dates }) : null,
+            entry.status ? SafeDom.create('span', { className: 'project-status', text: i18n.localize(entry, 'status') }) : null
+        ];
+
+        const actions = [];
+        if (entry.media && entry.media.length > 0) {
+            const galleryButton = SafeDom.create('button', {
+                className: 'timeline-action',
+                attrs: { type: 'button' },
+                children: [SafeDom.icon('fas fa-expand'), i18n.t('roblox.viewGallery')]
+            });
+            galleryButton.addEventListener('click', () => this.manager.openSlideshow(entry.media, 0, entry.id));
+            actions.push(galleryButton);
+        }
+        if (entry.gameUrl) {
+            actions.push(SafeDom.create('a', {
+                className: 'timeline-action',
+                attrs: { href: entry.gameUrl, target: '_blank', rel: 'noopener' },
+                children: [SafeDom.icon('fas fa-play'), i18n.t('roblox.playGame')]
+            }));
+        }
+
+        return SafeDom.create('li', {
+            className: `timeline-item timeline-type-${type}`,
+            attrs: { 'data-project-id': entry.id },
+            children: [
+                SafeDom.create('span', { className: 'timeline-marker', attrs: { 'aria-hidden': 'true' } }),
+                SafeDom.create('article', {
+                    className: 'timeline-card',
+                    children: [
+                        SafeDom.create('div', { className: 'timeline-meta', children: meta }),
+                        SafeDom.create('h5', { className: 'timeline-title', text: i18n.localize(entry, 'title') }),
+                        entry.description
+                            ? SafeDom.create('div', {
+                                className: 'timeline-description',
+                                children: [SafeMarkdown.render(i18n.localize(entry, 'description'))]
+                            })
+                            : null,
+                        actions.length > 0 ? SafeDom.create('div', { className: 'timeline-actions', children: actions }) : null
+                    ]
+                })
+            ]
+        });
+    }
+
+    /**
+     * Compare two data dates at the precision they share
+     * @returns {number} Negative if a is earlier, positive if later, 0 if equal or either is missing
+     */
+    static compareDates(a, b) {
+        if (!a || !b) return 0;
+
+        const length = Math.min(a.length, b.length);
+        const left = a.slice(0, length);
+        const right = b.slice(0, length);
+        return left < right ? -1 : (left > right ? 1 : 0);
+    }
+}
+
+RobloxTimeline.TYPES = ['project', 'commission'];
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RobloxTimeline;
+}
+
+// Make available globally for debugging
+window.RobloxTimeline = RobloxTimeline;
@@ -0,0 +1,310 @@
+/**
+ * Roblox Data Validator
+ * Checks roblox-data.json entries against a declared schema so broken entries can be skipped
+ */
+class RobloxDataValidator {
+    constructor(options = {}) {
+        // An array, or a function returning one so types registered later are accepted
+        this.mediaTypes = options.mediaTypes || RobloxDataValidator.MEDIA_TYPES;
+        this.entrySchema = options.entrySchema || RobloxDataValidator.ENTRY_SCHEMA;
+        this.mediaSchema = options.mediaSchema || RobloxDataValidator.MEDIA_SCHEMA;
+        this.linkSchema = options.linkSchema || RobloxDataValidator.LINK_SCHEMA;
+        this.imageSchema = options.imageSchema || RobloxDataValidator.IMAGE_SCHEMA;
+        this.languages = options.languages || []; // Suffixes checked on localized fields (e.g. 'ar' for title_ar)
+    }
+
+    /**
+     * Get the accepted media types
+     */
+    getMediaTypes() {
+        return typeof this.mediaTypes === 'function' ? this.mediaTypes() : this.mediaTypes;
+    }
+
+    /**
+     * Validate a full data file
+     * @param {Object} data - Parsed roblox-data.json
+     * @returns {Object} Valid projects and commissions plus a list of entry errors
+     */
+    validate(data) {
+        const seenIds = new Set();
+        const projects = this.validateCollection(data && data.projects, 'projects', seenIds);
+        const commissions = this.validateCollection(data && data.commissions, 'commissions', seenIds);
+
+        return {
+            projects: projects.valid,
+            commissions: commissions.valid,
+            errors: [...projects.errors, ...commissions.errors]
+        };
+    }
+
+    /**
+     * Validate one collection of entries
+     * @param {Array} entries - Entries to validate
+     * @param {string} collection - Collection name used in reports
+     * @param {Set} seenIds - Ids already used by earlier entries
+     * @returns {Object} Valid entries and errors grouped per failed entry
+     */
+    validateCollection(entries, collection, seenIds = new Set()) {
+        const valid = [];
+        const errors = [];
+
+        if (entries === undefined) {
+            return { valid, errors };
+        }
+
+        if (!Array.isArray(entries)) {
+            errors.push({
+                collection,
+                index: null,
+                id: null,
+                problems: [{ field: collection, message: 'must be an array' }]
+            });
+            return { valid, errors };
+        }
+
+        entries.forEach((entry, index) => {
+            const problems = this.validateEntry(entry);
+            const id = entry && typeof entry.id === 'string' ? entry.id : null;
+
+            if (id && seenIds.has(id)) {
+                problems.push({ field: 'id', message: 'is already used by another entry' });
+            }
+
+            if (problems.length > 0) {
+                errors.push({ collection, index, id, problems });
+                return;
+            }
+
+            seenIds.add(id);
+            valid.push(entry);
+        });
+
+        return { valid, errors };
+    }
+
+    /**
+     * Validate a single project or commission
+     * @param {Object} entry - Entry to validate
+     * @returns {Array} Problems found, each with a field path and message
+     */
+    validateEntry(entry) {
+        if (!this.isPlainObject(entry)) {
+            return [{ field: '(entry)', message: 'must be an object' }];
+        }
+
+        return this.validateObject(entry, this.entrySchema, '');
+    }
+
+    /**
+     * Validate an object against a schema
+     * @param {Object} value - Object to validate
+     * @param {Object} schema - Field name to rule map
+     * @param {string} path - Field path prefix for reports
+     * @returns {Array} Problems found
+     */
+    validateObject(value, schema, path) {
+        const problems = [];
+
+        Object.entries(schema).forEach(([field, rule]) => {
+            const fieldPath = path ? `${path}.${field}` : field;
+            problems.push(...this.validateField(value[field], rule, fieldPath, value));
+
+            // Translations follow the same rule but are always optional
+            if (rule.localized) {
+                this.languages.forEach(language => {
+                    const localizedField = `${field}_${language}`;
+                    const localizedPath = path ? `${path}.${localizedField}` : localizedField;
+                    problems.push(...this.validateField(value[localizedField], { ...rule, required: false }, localizedPath, value));
+                });
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * Validate one field against its rule
+     * @param {*} value - Field value
+     * @param {Object} rule - Schema rule
+     * @param {string} field - Field path for reports
+     * @param {Object} parent - Object the field belongs to, for rules whose requirement depends on it
+     * @returns {Array} Problems found
+     */
+    validateField(value, rule, field, parent = {}) {
+        const required = typeof rule.required === 'function' ? rule.required(parent) : rule.required;
+
+        if (value === undefined || value === null) {
+            return required ? [{ field, message: 'is required' }] : [];
+        }
+
+        switch (rule.type) {
+            case 'string':
+                if (typeof value !== 'string' || (required && value.trim() === '')) {
+                    return [{ field, message: 'must be a non-empty string' }];
+                }
+                if (rule.enum) {
+                    const allowed = typeof rule.enum === 'function' ? rule.enum(this) : rule.enum;
+                    if (!allowed.includes(value)) {
+                        return [{ field, message: `must be one of ${allowed.join(', ')} (got "${value}")` }];
+                    }
+                }
+                return [];
+
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value) && value >= 0
+                    ? []
+                    : [{ field, message: 'must be a non-negative number' }];
+
+            case 'url':
+                return this.isValidUrl(value) ? [] : [{ field, message: `is not a well-formed URL (got "${value}")` }];
+
+            case 'date':
+                return this.validateDate(value, rule, field, parent);
+
+            case 'object':
+                return this.isPlainObject(value) ? [] : [{ field, message: 'must be an object' }];
+
+            case 'array':
+                return this.validateArray(value, rule, field);
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Validate a YYYY, YYYY-MM or YYYY-MM-DD date, optionally no earlier than a sibling date field
+     */
+    validateDate(value, rule, field, parent) {
+        if (!I18n.parseDate(value)) {
+            return [{ field, message: `must be a YYYY, YYYY-MM or YYYY-MM-DD date (got "${value}")` }];
+        }
+
+        const earlier = rule.notBefore ? parent[rule.notBefore] : null;
+        if (I18n.parseDate(earlier)) {
+            // Compare at the precision both dates share, so 2024 is not before 2024-03
+            const length = Math.min(value.length, earlier.length);
+            if (value.slice(0, length) < earlier.slice(0, length)) {
+                return [{ field, message: `must not be before ${rule.notBefore} (got "${value}")` }];
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * Validate an array field and its items
+     */
+    validateArray(value, rule, field) {
+        if (!Array.isArray(value)) {
+            return [{ field, message: 'must be an array' }];
+        }
+
+        const problems = [];
+        value.forEach((item, index) => {
+            const itemPath = `${field}[${index}]`;
+
+            if (rule.items === 'string') {
+                if (typeof item !== 'string') {
+                    problems.push({ field: itemPath, message: 'must be a string' });
+                }
+            } else if (rule.items) {
+                const schema = typeof rule.items === 'function' ? rule.items(this) : rule.items;
+                if (!this.isPlainObject(item)) {
+                    problems.push({ field: itemPath, message: 'must be an object' });
+                } else {
+                    problems.push(...this.validateObject(item, schema, itemPath));
+                }
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * Check that a value is an http(s) URL or a relative path
+     */
+    isValidUrl(value) {
+        if (typeof value !== 'string' || value.trim() === '') return false;
+
+        try {
+            const url = new URL(value, window.location.href);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Check that a value is a non-array object
+     */
+    isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * Format an entry error for the console
+     * @param {Object} error - Entry error from validate()
+     * @returns {string} Readable report naming the entry and its fields
+     */
+    formatError(error) {
+        const name = error.id ? `"${error.id}"` : `at index ${error.index}`;
+        const label = error.index === null ? error.collection : `${error.collection} entry ${name}`;
+        const details = error.problems.map(problem => `${problem.field} ${problem.message}`).join('; ');
+        return `Skipped ${label}: ${details}`;
+    }
+}
+
+RobloxDataValidator.MEDIA_TYPES = ['image', 'video', 'gallery'];
+
+// Rules marked localized also accept a translated copy per language, e.g. caption_ar
+RobloxDataValidator.IMAGE_SCHEMA = {
+    url: { type: 'url', required: true },
+    alt: { type: 'string', localized: true },
+    caption: { type: 'string', localized: true }
+};
+
+// Galleries list their images instead of having a url of their own
+RobloxDataValidator.MEDIA_SCHEMA = {
+    type: { type: 'string', required: true, enum: validator => validator.getMediaTypes() },
+    url: { type: 'url', required: media => media.type !== 'gallery' },
+    alt: { type: 'string', localized: true },
+    caption: { type: 'string', localized: true },
+    poster: { type: 'url' },
+    posterTime: { type: 'number' },
+    images: { type: 'array', required: media => media.type === 'gallery', items: validator => validator.imageSchema }
+};
+
+RobloxDataValidator.LINK_SCHEMA = {
+    url: { type: 'url', required: true },
+    text: { type: 'string', required: true, localized: true },
+    icon: { type: 'string' }
+};
+
+RobloxDataValidator.ENTRY_SCHEMA = {
+    id: { type: 'string', required: true },
+    title: { type: 'string', required: true, localized: true },
+    description: { type: 'string', localized: true },
+    longDescription: { type: 'string', localized: true },
+    status: { type: 'string', localized: true },
+    role: { type: 'string', localized: true },
+    client: { type: 'string', localized: true },
+    duration: { type: 'string', localized: true },
+    startDate: { type: 'date' },
+    endDate: { type: 'date', notBefore: 'startDate' }, // Leave out while the work is ongoing
+    gameUrl: { type: 'url' },
+    techStack: { type: 'array', items: 'string' },
+    features: { type: 'array', items: 'string', localized: true },
+    deliverables: { type: 'array', items: 'string', localized: true },
+    metrics: { type: 'object', localized: true },
+    links: { type: 'array', items: validator => validator.linkSchema },
+    media: { type: 'array', required: true, items: validator => validator.mediaSchema }
+};
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RobloxDataValidator;
+}
+
+// Make available globally for debugging
+window.RobloxDataValidator = RobloxDataValidator;
@@ -0,0 +1,154 @@
+/**
+ * YouTube Player API Wrapper
+ * Loads the YouTube IFrame Player API on first use and controls embeds through it
+ * Player state changes are re-dispatched on the iframe as play, pause and ended events, so embeds can be
+ * handled like <video> elements. Pass { loadApi: () => Promise.resolve(FakeYT) } to stub the API in tests.
+ */
+class YouTubePlayerApi {
+    constructor(options = {}) {
+        this.options = { ...YouTubePlayerApi.DEFAULT_OPTIONS, ...options };
+        this.apiPromise = null;
+        this.players = new WeakMap(); // iframe -> YT.Player once ready
+        this.states = new WeakMap(); // iframe -> last known player state
+        this.pendingPauses = new WeakSet(); // iframes asked to pause before their player was ready
+    }
+
+    /**
+     * Load the API, once
+     * @returns {Promise<Object>} The YT namespace
+     */
+    load() {
+        if (!this.apiPromise) {
+            const loadApi = this.options.loadApi || (() => this.injectScript());
+            this.apiPromise = Promise.resolve(loadApi()).catch(error => {
+                // Allow a later embed to try again
+                this.apiPromise = null;
+                throw error;
+            });
+        }
+        return this.apiPromise;
+    }
+
+    /**
+     * Add the API script and wait for its ready callback
+     */
+    injectScript() {
+        if (window.YT && window.YT.Player) {
+            return Promise.resolve(window.YT);
+        }
+
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Timed out loading the YouTube API')), this.options.timeout);
+
+            // The API calls this global when it is ready; keep any existing handler working
+            const previousCallback = window.onYouTubeIframeAPIReady;
+            window.onYouTubeIframeAPIReady = () => {
+                clearTimeout(timeout);
+                if (typeof previousCallback === 'function') {
+                    previousCallback();
+                }
+                resolve(window.YT);
+            };
+
+            if (!document.querySelector(`script[src="${this.options.scriptUrl}"]`)) {
+                const script = document.createElement('script');
+                script.src = this.options.scriptUrl;
+                script.async = true;
+                script.addEventListener('error', () => {
+                    clearTimeout(timeout);
+                    reject(new Error('Failed to load the YouTube API'));
+                });
+                document.head.appendChild(script);
+            }
+        });
+    }
+
+    /**
+     * Take control of an embed
+     * The iframe's src must include enablejsapi=1
+     * @param {Element} iframe - YouTube embed iframe in the document
+     * @returns {Promise<Object>} The ready YT.Player
+     */
+    async attach(iframe) {
+        if (this.players.has(iframe)) {
+            return this.players.get(iframe);
+        }
+
+        const YT = await this.load();
+
+        return new Promise(resolve => {
+            const player = new YT.Player(iframe, {
+                events: {
+                    onReady: () => {
+                        this.players.set(iframe, player);
+                        if (this.pendingPauses.has(iframe)) {
+                            // The embed may still be buffering its autoplay, so pause unconditionally
+                            this.pendingPauses.delete(iframe);
+                            player.pauseVideo();
+                        }
+                        resolve(player);
+                    },
+                    onStateChange: (event) => this.handleStateChange(iframe, event.data, YT.PlayerState)
+                }
+            });
+        });
+    }
+
+    /**
+     * Re-dispatch a player state change as a media event on the iframe
+     */
+    handleStateChange(iframe, state, PlayerState) {
+        const previousState = this.states.get(iframe);
+        this.states.set(iframe, state);
+
+        if (state === PlayerState.PLAYING && previousState !== PlayerState.PLAYING) {
+            iframe.dispatchEvent(new Event('play'));
+        } else if (state === PlayerState.PAUSED) {
+            iframe.dispatchEvent(new Event('pause'));
+        } else if (state === PlayerState.ENDED) {
+            iframe.dispatchEvent(new Event('ended'));
+        }
+    }
+
+    /**
+     * Pause an embed, keeping its position
+     * @param {Element} iframe - YouTube embed iframe
+     */
+    pause(iframe) {
+        const player = this.players.get(iframe);
+        if (!player) {
+            // Autoplaying embeds may start before the API is ready
+            this.pendingPauses.add(iframe);
+            return;
+        }
+
+        if (this.isPlaying(iframe) && typeof player.pauseVideo === 'function') {
+            player.pauseVideo();
+        }
+    }
+
+    /**
+     * Check whether an embed is playing or about to
+     */
+    isPlaying(iframe) {
+        const player = this.players.get(iframe);
+        if (!player || typeof player.getPlayerState !== 'function') return false;
+
+        const state = player.getPlayerState();
+        return state === 1 || state === 3; // PLAYING or BUFFERING
+    }
+}
+
+YouTubePlayerApi.DEFAULT_OPTIONS = {
+    scriptUrl: 'https://www.youtube.com/iframe_api',
+    timeout: 15000, // Milliseconds to wait for the API before giving up
+    loadApi: null // Replacement loader returning the YT namespace, for tests
+};
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = YouTubePlayerApi;
+}
+
+// Make available globally for debugging
+window.YouTubePlayerApi = YouTubePlayerApi;
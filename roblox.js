@@ -9,8 +9,33 @@ class RobloxProjectsManager {
         this.currentSlideshow = null;
         this.currentSlideIndex = 0;
         this.slideshowMedia = [];
+        this.currentEntryId = null; // Id of the entry whose media is in the slideshow
+        this.slideshowTrigger = null; // Element focused before the slideshow opened
         this.currentPlayingVideo = null; // Track currently playing video
         this.videoObserver = null; // Intersection observer for videos
+        this.mediaProviders = MediaProviderRegistry.createDefault();
+        this.mediaThumbnails = new WeakMap(); // Lazy thumbnail -> { media, provider }
+        this.previewCarousels = new Map(); // Card .media-preview -> PreviewCarousel
+        this.validator = new RobloxDataValidator({
+            mediaTypes: () => this.mediaProviders.getMediaTypes(),
+            languages: i18n.getTranslatedLanguages()
+        });
+        this.posterCache = new VideoPosterCache();
+        this.progressStore = new VideoProgressStore();
+        this.statsProvider = new RobloxStatsProvider({ endpoint: RobloxStatsProvider.getConfiguredEndpoint() });
+        this.youtubeApi = new YouTubePlayerApi();
+        this.validationErrors = [];
+        this.filterBar = new RobloxFilterBar(this);
+        this.router = new RobloxHashRouter(this);
+        this.timeline = new RobloxTimeline(this);
+        this.detailView = new RobloxDetailView(this);
+        this.tracker = new RobloxInteractionTracker(this);
+        this.inquiryForm = new CommissionInquiryForm(this);
+        this.comparison = new RobloxComparison(this);
+        this.cardLists = {
+            project: new IncrementalCardList(this, 'projects-container', 'project'),
+            commission: new IncrementalCardList(this, 'commissions-container', 'commission')
+        };
         this.init();
     }
 
@@ -31,11 +56,17 @@ class RobloxProjectsManager {
     async setup() {
         try {
             await this.loadProjectData();
-            this.renderProjects();
-            this.renderCommissions();
+            this.filterBar.setup();
+            this.renderStatsPanel();
+            this.renderProjectLists();
             this.setupEventListeners();
+            this.tracker.setup();
+            this.inquiryForm.setup();
             this.setupSlideshowControls();
             this.setupVideoViewportObserver();
+            this.router.setup();
+            this.comparison.setup();
+            document.addEventListener('languagechange', () => this.applyLanguage());
         } catch (error) {
             console.error('Failed to setup Roblox projects:', error);
             this.showErrorMessage();
@@ -47,13 +78,23 @@ class RobloxProjectsManager {
      */
     async loadProjectData() {
         try {
-            const response = await fetch('roblox-data.json');
+            const [response] = await Promise.all([fetch('roblox-data.json'), techTaxonomy.load()]);
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             const data = await response.json();
-            this.projects = data.projects || [];
-            this.commissions = data.commissions || [];
+            const result = this.validator.validate(data);
+            this.projects = result.projects;
+            this.commissions = result.commissions;
+            // Aliases are resolved once here so filters, stats and comparisons count them together
+            [...this.projects, ...this.commissions].forEach(entry => {
+                if (entry.techStack) {
+                    entry.techStack = techTaxonomy.canonicalize(entry.techStack);
+                }
+            });
+            this.validationErrors = result.errors;
+            this.reportValidationErrors();
+            this.checkMetadata(data);
             console.log(`Loaded ${this.projects.length} projects and ${this.commissions.length} commissions`);
         } catch (error) {
             console.error('Error loading project data:', error);
@@ -61,6 +102,142 @@ class RobloxProjectsManager {
         }
     }
 
+    /**
+     * Report entries skipped by the validator in the console and on the page
+     */
+    reportValidationErrors() {
+        this.validationErrors.forEach(error => {
+            console.error(this.validator.formatError(error));
+        });
+
+        this.renderDataNotice();
+    }
+
+    /**
+     * Show how many entries failed validation
+     */
+    renderDataNotice() {
+        const notice = document.getElementById('data-notice');
+        const failedCount = this.validationErrors.length;
+
+        if (!notice) return;
+
+        if (failedCount === 0) {
+            notice.hidden = true;
+            notice.textContent = '';
+            return;
+        }
+
+        notice.replaceChildren(
+            SafeDom.icon('fas fa-exclamation-circle'),
+            SafeDom.create('span', { text: i18n.t('roblox.entriesFailed', { count: failedCount }) })
+        );
+        notice.hidden = false;
+    }
+
+    /**
+     * Warn when the hand-maintained metadata.lastUpdated is older than the entries it describes
+     * Totals aren't kept in the file; the stats panel computes them from the entries
+     */
+    checkMetadata(data) {
+        const metadata = data.metadata;
+        if (!metadata) return;
+
+        // Dates are "YYYY", "YYYY-MM" or "YYYY-MM-DD", so ISO strings compare correctly at the shorter precision
+        const entries = [
+            ...(Array.isArray(data.projects) ? data.projects : []),
+            ...(Array.isArray(data.commissions) ? data.commissions : [])
+        ];
+        const newestDate = entries
+            .flatMap(entry => [entry && entry.startDate, entry && entry.endDate])
+            .filter(date => typeof date === 'string' && /^\d{4}(-\d{2}){0,2}$/.test(date))
+            .sort()
+            .pop();
+
+        if (typeof metadata.lastUpdated === 'string' && newestDate && newestDate > metadata.lastUpdated.slice(0, newestDate.length)) {
+            console.warn(`roblox-data.json metadata.lastUpdated is stale: says ${metadata.lastUpdated}, data has dates up to ${newestDate}`);
+        }
+    }
+
+    /**
+     * Compute summary statistics from the loaded entries
+     * @returns {Object} Totals, status breakdown, top tech and media count
+     */
+    computeStats() {
+        const entries = [...this.projects, ...this.commissions];
+        const techCounts = new Map();
+        let completed = 0;
+        let inDevelopment = 0;
+        let mediaItems = 0;
+
+        entries.forEach(entry => {
+            const status = (entry.status || '').toLowerCase();
+            if (status === 'completed') completed++;
+            if (status === 'in development') inDevelopment++;
+
+            mediaItems += (entry.media || []).length;
+
+            (entry.techStack || []).forEach(tech => {
+                techCounts.set(tech, (techCounts.get(tech) || 0) + 1);
+            });
+        });
+
+        const topTech = Array.from(techCounts.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, 5)
+            .map(([name, count]) => ({ name, count }));
+
+        return {
+            projects: this.projects.length,
+            commissions: this.commissions.length,
+            completed,
+            inDevelopment,
+            mediaItems,
+            topTech
+        };
+    }
+
+    /**
+     * Render the summary strip under the hero
+     */
+    renderStatsPanel() {
+        const panel = document.getElementById('stats-panel');
+        if (!panel) return;
+
+        const stats = this.computeStats();
+        const statItems = [
+            { value: stats.projects, label: i18n.t('stats.projects') },
+            { value: stats.commissions, label: i18n.t('stats.commissions') },
+            { value: stats.completed, label: i18n.t('stats.completed') },
+            { value: stats.inDevelopment, label: i18n.t('stats.inDevelopment') },
+            { value: stats.mediaItems, label: i18n.t('stats.mediaItems') }
+        ];
+
+        const children = statItems.map(item => SafeDom.create('div', {
+            className: 'stats-item',
+            children: [
+                SafeDom.create('span', { className: 'stats-value', text: item.value }),
+                SafeDom.create('span', { className: 'stats-label', text: item.label })
+            ]
+        }));
+
+        if (stats.topTech.length > 0) {
+            children.push(SafeDom.create('div', {
+                className: 'stats-tech',
+                children: [
+                    SafeDom.create('span', { className: 'stats-label', text: i18n.t('stats.mostUsed') }),
+                    ...stats.topTech.map(tech => SafeDom.create('span', {
+                        className: 'tech-tag',
+                        text: `${tech.name} × ${tech.count}`
+                    }))
+                ]
+            }));
+        }
+
+        panel.replaceChildren(...children);
+        panel.hidden = false;
+    }
+
     /**
      * Render projects section
      */
@@ -68,11 +245,14 @@ class RobloxProjectsManager {
         const container = document.getElementById('projects-container');
         if (!container) return;
 
-        container.innerHTML = '';
-        this.projects.forEach((project, index) => {
-            const projectElement = this.createProjectElement(project, 'project', index);
-            container.appendChild(projectElement);
-        });
+        const projects = this.filterBar.getVisibleEntries(this.projects);
+        if (projects.length === 0 && this.filterBar.isActive()) {
+            this.cardLists.project.clear();
+            container.appendChild(this.filterBar.createEmptyState('projects'));
+            return;
+        }
+
+        this.cardLists.project.render(projects);
     }
 
     /**
@@ -82,11 +262,53 @@ class RobloxProjectsManager {
         const container = document.getElementById('commissions-container');
         if (!container) return;
 
-        container.innerHTML = '';
-        this.commissions.forEach((commission, index) => {
-            const commissionElement = this.createProjectElement(commission, 'commission', index);
-            container.appendChild(commissionElement);
+        const commissions = this.filterBar.getVisibleEntries(this.commissions);
+        if (commissions.length === 0 && this.filterBar.isActive()) {
+            this.cardLists.commission.clear();
+            container.appendChild(this.filterBar.createEmptyState('commissions'));
+            return;
+        }
+
+        this.cardLists.commission.render(commissions);
+    }
+
+    /**
+     * Make sure an entry's card has been rendered, if it's in a list
+     * @param {string} id - Entry id
+     * @returns {boolean} Whether a list holds the entry
+     */
+    renderEntryCard(id) {
+        return Object.values(this.cardLists).some(list => list.renderUntil(id));
+    }
+
+    /**
+     * Render the card lists or the timeline, whichever view is selected
+     */
+    renderProjectLists() {
+        const showTimeline = this.filterBar.view === 'timeline';
+
+        document.querySelectorAll('[data-view]').forEach(section => {
+            section.hidden = section.getAttribute('data-view') !== this.filterBar.view;
         });
+
+        if (showTimeline) {
+            // Drop the hidden cards so their carousels and videos stop
+            Object.values(this.cardLists).forEach(list => list.clear());
+            this.timeline.render();
+        } else {
+            this.timeline.clear();
+            this.renderProjects();
+            this.renderCommissions();
+        }
+    }
+
+    /**
+     * Re-render the lists (e.g. after the filters, sort or view change)
+     */
+    refreshProjectLists() {
+        this.pauseAllVideos();
+        this.renderProjectLists();
+        this.setupVideoViewportObserver();
     }
 
     /**
@@ -96,6 +318,14 @@ class RobloxProjectsManager {
         const template = document.getElementById('project-template');
         const clone = template.content.cloneNode(true);
         const projectItem = clone.querySelector('.project-item');
+        projectItem.setAttribute('data-project-id', data.id);
+        i18n.translatePage(clone);
+
+        const detailsLink = clone.querySelector('.project-details-link');
+        if (detailsLink) {
+            detailsLink.setAttribute('href', this.router.buildDetailsHash(data.id));
+        }
+        this.comparison.bindCheckbox(clone, data.id);
 
         // Set basic project information
         this.setProjectBasicInfo(clone, data);
@@ -126,12 +356,17 @@ class RobloxProjectsManager {
         const title = element.querySelector('.project-title');
         const role = element.querySelector('.project-role');
         const status = element.querySelector('.project-status');
+        const dates = element.querySelector('.project-dates');
         const description = element.querySelector('.project-description');
 
-        if (title) title.textContent = data.title;
-        if (role) role.textContent = data.role;
-        if (status) status.textContent = data.status;
-        if (description) description.textContent = data.description;
+        if (title) title.textContent = i18n.localize(data, 'title');
+        if (role) role.textContent = i18n.localize(data, 'role');
+        if (status) status.textContent = i18n.localize(data, 'status');
+        if (dates) {
+            dates.textContent = i18n.formatDateRange(data.startDate, data.endDate);
+            dates.hidden = dates.textContent === '';
+        }
+        if (description) description.replaceChildren(SafeMarkdown.render(i18n.localize(data, 'description')));
     }
 
     /**
@@ -170,13 +405,13 @@ class RobloxProjectsManager {
         // Setup slideshow button
         if (viewSlideshowBtn) {
             viewSlideshowBtn.addEventListener('click', () => {
-                this.openSlideshow(data.media, 0);
+                this.openSlideshow(data.media, 0, data.id);
             });
         }
 
-        // If multiple media items, setup preview cycling
+        // If multiple media items, setup the preview carousel
         if (data.media.length > 1) {
-            this.setupMediaPreviewCycling(mediaPreview, data.media);
+            this.setupPreviewCarousel(mediaPreview, data.media);
         }
     }
 
@@ -184,78 +419,110 @@ class RobloxProjectsManager {
      * Set media content for a media item
      */
     setMediaContent(mediaItem, media, isLazy = true) {
-        let content = '';
-        
-        switch (media.type) {
-            case 'image':
-                content = `<img src="${media.url}" alt="${media.alt || ''}" loading="lazy">`;
-                break;
-            case 'video':
-                if (media.url.includes('youtube.com') || media.url.includes('youtu.be')) {
-                    // YouTube embed - use thumbnail for lazy loading
-                    const videoId = this.extractYouTubeId(media.url);
-                    if (isLazy) {
-                        content = `
-                            <div class="video-thumbnail" data-video-id="${videoId}" data-video-type="youtube">
-                                <img src="https://img.youtube.com/vi/${videoId}/maxresdefault.jpg" alt="${media.alt || ''}" loading="lazy">
-                                <div class="play-button">
-                                    <i class="fas fa-play"></i>
-                                </div>
-                            </div>
-                        `;
-                    } else {
-                        content = `<iframe src="https://www.youtube.com/embed/${videoId}" allowfullscreen></iframe>`;
-                    }
-                } else {
-                    // Direct video - use poster image for lazy loading
-                    if (isLazy) {
-                        content = `
-                            <div class="video-thumbnail" data-video-url="${media.url}" data-video-type="direct">
-                                <video preload="none" poster="">
-                                    <source src="${media.url}" type="video/mp4">
-                                </video>
-                                <div class="play-button">
-                                    <i class="fas fa-play"></i>
-                                </div>
-                            </div>
-                        `;
-                    } else {
-                        content = `<video controls muted preload="metadata"><source src="${media.url}" type="video/mp4"></video>`;
-                    }
-                }
-                break;
-            default:
-                content = `<img src="${media.url}" alt="${media.alt || ''}" loading="lazy">`;
+        const provider = this.mediaProviders.resolve(media);
+        if (!provider) {
+            mediaItem.replaceChildren(this.createImageElement(media));
+            return;
         }
-        
-        mediaItem.innerHTML = content;
-        
-        // Setup lazy video loading
-        if (isLazy && media.type === 'video') {
-            this.setupLazyVideoLoading(mediaItem);
+
+        if (isLazy && provider.createThumbnail) {
+            const thumbnail = provider.createThumbnail(media, this);
+            mediaItem.replaceChildren(thumbnail);
+
+            // Thumbnails are swapped for the real player when scrolled to or clicked
+            if (thumbnail.classList.contains('video-thumbnail')) {
+                this.mediaThumbnails.set(thumbnail, { media, provider });
+                this.setupLazyVideoLoading(mediaItem);
+            }
+            return;
+        }
+
+        const options = { thumbnail: null, autoplay: false };
+        const player = this.createMediaPlayer(provider, media, options);
+        mediaItem.replaceChildren(player);
+        if (provider.onLoaded) {
+            provider.onLoaded(player, media, this, options);
         }
     }
 
     /**
-     * Setup media preview cycling for multiple media items
+     * Create a provider's player and tag it so it can be paused later
+     * @param {Object} provider - Media provider
+     * @param {Object} media - Media item
+     * @param {Object} options - { thumbnail, autoplay }
+     * @returns {Element} Player element
      */
-    setupMediaPreviewCycling(mediaPreview, mediaArray) {
-        let currentIndex = 0;
-        const mediaItem = mediaPreview.querySelector('.media-item');
-        const currentMediaSpan = mediaPreview.querySelector('.current-media');
+    createMediaPlayer(provider, media, options) {
+        const player = provider.load(media, this, options);
+        if (provider.pause) {
+            player.setAttribute('data-media-player', provider.name);
+        }
+        return player;
+    }
 
-        // Auto-cycle through media every 5 seconds (increased from 3 for better performance)
-        const cycleInterval = setInterval(() => {
-            currentIndex = (currentIndex + 1) % mediaArray.length;
-            // Always use lazy loading for preview cycling to prevent loading all videos
-            this.setMediaContent(mediaItem, mediaArray[currentIndex], true);
-            if (currentMediaSpan) {
-                currentMediaSpan.textContent = currentIndex + 1;
+    /**
+     * Create an image element for a media item
+     */
+    createImageElement(media) {
+        return SafeDom.create('img', {
+            attrs: { src: media.url, alt: i18n.localize(media, 'alt') || '', loading: 'lazy' }
+        });
+    }
+
+    /**
+     * Create an mp4 source element
+     */
+    createVideoSource(url) {
+        return SafeDom.create('source', { attrs: { src: url, type: 'video/mp4' } });
+    }
+
+    /**
+     * Set a video's poster from the media's poster field or a generated frame
+     * @param {Element} video - Video element
+     * @param {Object} media - Media item (poster and posterTime are optional)
+     */
+    applyVideoPoster(video, media) {
+        if (media.poster) {
+            SafeDom.setAttribute(video, 'poster', media.poster);
+            return;
+        }
+
+        const seekTime = typeof media.posterTime === 'number' ? media.posterTime : undefined;
+        this.posterCache.getPoster(media.url, seekTime).then(posterUrl => {
+            // The element may have been replaced by preview cycling in the meantime
+            if (posterUrl && video.isConnected && !video.getAttribute('poster')) {
+                video.setAttribute('poster', posterUrl);
             }
-        }, 5000);
+        });
+    }
 
-        // Store interval for cleanup
-        mediaPreview.setAttribute('data-cycle-interval', cycleInterval);
+    /**
+     * Create a clickable video thumbnail with a play button
+     * @param {Object} attrs - Attributes describing the media (data-media-provider)
+     * @param {Element} preview - Still image or unloaded video shown behind the play button
+     * @param {string} icon - Font Awesome classes for the button
+     */
+    createVideoThumbnail(attrs, preview, icon = 'fas fa-play') {
+        return SafeDom.create('div', {
+            className: 'video-thumbnail',
+            attrs,
+            children: [
+                preview,
+                SafeDom.create('div', {
+                    className: 'play-button',
+                    children: [SafeDom.icon(icon)]
+                })
+            ]
+        });
+    }
+
+    /**
+     * Setup the preview carousel for multiple media items
+     */
+    setupPreviewCarousel(mediaPreview, mediaArray) {
+        const carousel = new PreviewCarousel(this, mediaPreview, mediaArray);
+        this.previewCarousels.set(mediaPreview, carousel);
+        carousel.setup();
     }
 
     /**
@@ -266,9 +533,9 @@ class RobloxProjectsManager {
         const featuresList = element.querySelector('.features-list');
         if (featuresList && data.features) {
             featuresList.innerHTML = '';
-            data.features.forEach(feature => {
+            i18n.localize(data, 'features').forEach(feature => {
                 const li = document.createElement('li');
-                li.textContent = feature;
+                li.appendChild(SafeMarkdown.renderInline(feature));
                 featuresList.appendChild(li);
             });
         }
@@ -277,16 +544,18 @@ class RobloxProjectsManager {
         const metricsContainer = element.querySelector('.project-metrics');
         if (metricsContainer && data.metrics) {
             metricsContainer.innerHTML = '';
-            Object.entries(data.metrics).forEach(([key, value]) => {
-                const metricItem = document.createElement('div');
-                metricItem.className = 'metric-item';
-                metricItem.innerHTML = `
-                    <span class="metric-value">${value}</span>
-                    <span class="metric-label">${key}</span>
-                `;
+            Object.entries(i18n.localize(data, 'metrics')).forEach(([key, value]) => {
+                const metricItem = SafeDom.create('div', {
+                    className: 'metric-item',
+                    children: [
+                        SafeDom.create('span', { className: 'metric-value', text: value }),
+                        SafeDom.create('span', { className: 'metric-label', text: key })
+                    ]
+                });
                 metricsContainer.appendChild(metricItem);
             });
         }
+        this.setGameStats(metricsContainer, data);
 
         // Hide deliverables section for projects
         const deliverablesSection = element.querySelector('.project-deliverables');
@@ -295,6 +564,50 @@ class RobloxProjectsManager {
         }
     }
 
+    /**
+     * Add live (or snapshot) game stats to a metrics container once they arrive
+     * @param {Element} metricsContainer - .project-metrics
+     * @param {Object} data - Project with a gameUrl
+     */
+    setGameStats(metricsContainer, data) {
+        const placeId = RobloxStatsProvider.getPlaceId(data.gameUrl);
+        if (!metricsContainer || !placeId) return;
+
+        this.statsProvider.get(placeId).then(record => {
+            if (!record) return;
+
+            metricsContainer.querySelectorAll('.game-stat, .game-stats-source').forEach(element => element.remove());
+
+            RobloxStatsProvider.FIELDS.forEach(field => {
+                if (record.stats[field] === undefined) return;
+
+                metricsContainer.appendChild(SafeDom.create('div', {
+                    className: 'metric-item game-stat',
+                    attrs: { title: record.stats[field].toLocaleString(i18n.getLanguage()) },
+                    children: [
+                        SafeDom.create('span', { className: 'metric-value', text: i18n.formatNumber(record.stats[field]) }),
+                        SafeDom.create('span', { className: 'metric-label', text: i18n.t(`gameStats.${field}`) })
+                    ]
+                }));
+            });
+
+            let sourceLabel = i18n.t('gameStats.live');
+            if (record.source !== 'live') {
+                // Snapshots and expired cached results are dated so they aren't mistaken for current numbers
+                sourceLabel = record.fetchedAt
+                    ? i18n.t('gameStats.snapshot', { date: i18n.formatDate(new Date(record.fetchedAt).toISOString().slice(0, 10)) })
+                    : i18n.t('gameStats.snapshotUndated');
+            }
+            metricsContainer.appendChild(SafeDom.create('span', {
+                className: `game-stats-source game-stats-${record.source}`,
+                text: sourceLabel
+            }));
+
+            // The detail view hides the section when the data has no hand-written metrics
+            metricsContainer.hidden = false;
+        });
+    }
+
     /**
      * Set commission-specific content (deliverables, client info)
      */
@@ -303,9 +616,9 @@ class RobloxProjectsManager {
         const featuresList = element.querySelector('.features-list');
         if (featuresList && data.features) {
             featuresList.innerHTML = '';
-            data.features.forEach(feature => {
+            i18n.localize(data, 'features').forEach(feature => {
                 const li = document.createElement('li');
-                li.textContent = feature;
+                li.appendChild(SafeMarkdown.renderInline(feature));
                 featuresList.appendChild(li);
             });
         }
@@ -314,7 +627,7 @@ class RobloxProjectsManager {
         const deliverablesContainer = element.querySelector('.project-deliverables');
         if (deliverablesContainer && data.deliverables) {
             const h4 = deliverablesContainer.querySelector('h4');
-            if (h4) h4.textContent = 'Deliverables:';
+            if (h4) h4.textContent = i18n.t('roblox.deliverables');
             
             let deliverablesList = deliverablesContainer.querySelector('.deliverables-list');
             if (!deliverablesList) {
@@ -324,9 +637,9 @@ class RobloxProjectsManager {
             }
             
             deliverablesList.innerHTML = '';
-            data.deliverables.forEach(deliverable => {
+            i18n.localize(data, 'deliverables').forEach(deliverable => {
                 const li = document.createElement('li');
-                li.textContent = deliverable;
+                li.appendChild(SafeMarkdown.renderInline(deliverable));
                 deliverablesList.appendChild(li);
             });
         }
@@ -336,14 +649,14 @@ class RobloxProjectsManager {
         if (projectMeta && data.client) {
             const clientSpan = document.createElement('span');
             clientSpan.className = 'project-status';
-            clientSpan.textContent = `Client: ${data.client}`;
+            clientSpan.textContent = i18n.t('roblox.client', { client: i18n.localize(data, 'client') });
             projectMeta.appendChild(clientSpan);
         }
 
         if (projectMeta && data.duration) {
             const durationSpan = document.createElement('span');
             durationSpan.className = 'project-status';
-            durationSpan.textContent = data.duration;
+            durationSpan.textContent = i18n.localize(data, 'duration');
             projectMeta.appendChild(durationSpan);
         }
 
@@ -361,12 +674,7 @@ class RobloxProjectsManager {
         const techStack = element.querySelector('.tech-stack');
         if (techStack && data.techStack) {
             techStack.innerHTML = '';
-            data.techStack.forEach(tech => {
-                const techTag = document.createElement('span');
-                techTag.className = 'tech-tag';
-                techTag.textContent = tech;
-                techStack.appendChild(techTag);
-            });
+            data.techStack.forEach(tech => techStack.appendChild(techTaxonomy.createTag(tech)));
         }
     }
 
@@ -381,31 +689,60 @@ class RobloxProjectsManager {
 
         // Add game URL for projects
         if (data.gameUrl) {
-            const gameLink = document.createElement('a');
-            gameLink.href = data.gameUrl;
-            gameLink.target = '_blank';
-            gameLink.className = 'project-link primary';
-            gameLink.innerHTML = `
-                <i class="fas fa-gamepad"></i>
-                <span>Play Game</span>
-            `;
-            linksContainer.appendChild(gameLink);
+            linksContainer.appendChild(this.createProjectLink(
+                data.gameUrl, i18n.t('roblox.playGame'), 'fas fa-gamepad', 'project-link primary'
+            ));
         }
 
         // Add additional links if available
         if (data.links) {
             data.links.forEach(link => {
-                const linkElement = document.createElement('a');
-                linkElement.href = link.url;
-                linkElement.target = '_blank';
-                linkElement.className = 'project-link';
-                linkElement.innerHTML = `
-                    <i class="${link.icon || 'fas fa-external-link-alt'}"></i>
-                    <span>${link.text}</span>
-                `;
-                linksContainer.appendChild(linkElement);
+                linksContainer.appendChild(this.createProjectLink(link.url, i18n.localize(link, 'text'), link.icon, 'project-link'));
             });
         }
+
+        // Commissions lead into the inquiry form with themselves as the example
+        if (this.commissions.includes(data) && this.inquiryForm.isAvailable()) {
+            const inquiryButton = SafeDom.create('button', {
+                className: 'project-link inquiry-link',
+                attrs: { type: 'button' },
+                children: [
+                    SafeDom.icon('fas fa-envelope'),
+                    SafeDom.create('span', { text: i18n.t('inquiry.requestSimilar') })
+                ]
+            });
+            inquiryButton.addEventListener('click', () => this.inquiryForm.startSimilarTo(data.id));
+            linksContainer.appendChild(inquiryButton);
+        }
+    }
+
+    /**
+     * Create an external project link with an icon and label
+     */
+    createProjectLink(url, text, icon, className) {
+        return SafeDom.create('a', {
+            className,
+            attrs: { href: url, target: '_blank', rel: 'noopener noreferrer' },
+            children: [
+                SafeDom.icon(icon),
+                SafeDom.create('span', { text })
+            ]
+        });
+    }
+
+    /**
+     * Find a project or commission by id
+     * @param {string} id - Entry id
+     * @returns {Object|null} The entry and its type ('project' or 'commission')
+     */
+    findEntry(id) {
+        const project = this.projects.find(entry => entry.id === id);
+        if (project) return { entry: project, type: 'project' };
+
+        const commission = this.commissions.find(entry => entry.id === id);
+        if (commission) return { entry: commission, type: 'commission' };
+
+        return null;
     }
 
     /**
@@ -449,7 +786,13 @@ class RobloxProjectsManager {
 
         // Pause videos when window loses focus
         window.addEventListener('blur', () => {
-            this.pauseAllVideos();
+            // Clicking into an embed moves focus to its iframe, which also blurs the window;
+            // activeElement only points at the iframe once the focus change has finished
+            setTimeout(() => {
+                const active = document.activeElement;
+                if (active && active.tagName === 'IFRAME' && active.hasAttribute('data-media-player')) return;
+                this.pauseAllVideos();
+            }, 0);
         });
     }
 
@@ -473,35 +816,255 @@ class RobloxProjectsManager {
             nextBtn.addEventListener('click', () => this.nextSlide());
         }
 
+        this.setupFullscreenControl();
+        this.setupSlideshowGestures();
+
         // Keyboard navigation
         document.addEventListener('keydown', (e) => {
             if (!this.currentSlideshow) return;
 
             switch (e.key) {
+                // Arrows follow the reading direction, so they swap in RTL layouts
                 case 'ArrowLeft':
                     e.preventDefault();
-                    this.previousSlide();
+                    if (i18n.isRtl()) {
+                        this.nextSlide();
+                    } else {
+                        this.previousSlide();
+                    }
                     break;
                 case 'ArrowRight':
                     e.preventDefault();
-                    this.nextSlide();
+                    if (i18n.isRtl()) {
+                        this.previousSlide();
+                    } else {
+                        this.nextSlide();
+                    }
+                    break;
+                case 'Tab':
+                    this.trapSlideshowFocus(e);
+                    break;
+                case 'f':
+                case 'F':
+                    if (e.ctrlKey || e.metaKey || e.altKey) break;
+                    e.preventDefault();
+                    this.toggleFullscreen();
                     break;
             }
         });
     }
 
+    /**
+     * Keep Tab and Shift+Tab focus inside the open slideshow
+     * @param {Event} e - Keydown event for the Tab key
+     */
+    trapSlideshowFocus(e) {
+        const modal = document.getElementById('slideshow-modal');
+        if (!modal) return;
+
+        const focusable = Array.from(modal.querySelectorAll(RobloxProjectsManager.FOCUSABLE_SELECTOR))
+            .filter(element => element.offsetParent !== null || element === document.activeElement);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const focusInside = modal.contains(document.activeElement);
+
+        if (e.shiftKey && (document.activeElement === first || !focusInside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !focusInside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Setup swipe gestures on the slideshow
+     * Horizontal swipes change slides and a downward swipe closes the slideshow
+     */
+    setupSlideshowGestures() {
+        const content = document.getElementById('slideshow-content');
+        if (!content) return;
+
+        let touchStart = null;
+
+        content.addEventListener('touchstart', (e) => {
+            // Ignore pinch-zoom and other multi-touch gestures
+            if (e.touches.length !== 1) {
+                touchStart = null;
+                return;
+            }
+
+            const touch = e.touches[0];
+            touchStart = { x: touch.clientX, y: touch.clientY, time: Date.now() };
+        }, { passive: true });
+
+        content.addEventListener('touchend', (e) => {
+            if (!touchStart || !this.currentSlideshow) return;
+
+            const touch = e.changedTouches[0];
+            const deltaX = touch.clientX - touchStart.x;
+            const deltaY = touch.clientY - touchStart.y;
+            const elapsed = Date.now() - touchStart.time;
+            touchStart = null;
+
+            // Slow drags are left alone so video scrubbing still works
+            if (elapsed > RobloxProjectsManager.SWIPE_MAX_DURATION) return;
+
+            const threshold = RobloxProjectsManager.SWIPE_THRESHOLD;
+            if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > threshold) {
+                // Swiping towards the start of the reading direction reveals the next slide
+                const towardsStart = i18n.isRtl() ? deltaX > 0 : deltaX < 0;
+                if (towardsStart) {
+                    this.nextSlide();
+                } else {
+                    this.previousSlide();
+                }
+            } else if (deltaY > threshold * 2 && Math.abs(deltaY) > Math.abs(deltaX)) {
+                this.closeSlideshow();
+            }
+        }, { passive: true });
+
+        content.addEventListener('touchcancel', () => {
+            touchStart = null;
+        }, { passive: true });
+    }
+
+    /**
+     * Setup the fullscreen toggle button
+     */
+    setupFullscreenControl() {
+        const fullscreenBtn = document.getElementById('slideshow-fullscreen');
+        if (!fullscreenBtn) return;
+
+        const modal = document.getElementById('slideshow-modal');
+        const supported = modal && (modal.requestFullscreen || modal.webkitRequestFullscreen);
+        if (!supported) {
+            fullscreenBtn.style.display = 'none';
+            return;
+        }
+
+        fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
+
+        document.addEventListener('fullscreenchange', () => this.updateFullscreenButton());
+        document.addEventListener('webkitfullscreenchange', () => this.updateFullscreenButton());
+        this.updateFullscreenButton();
+    }
+
+    /**
+     * Reflect the fullscreen state in the toggle button's icon and label
+     */
+    updateFullscreenButton() {
+        const fullscreenBtn = document.getElementById('slideshow-fullscreen');
+        if (!fullscreenBtn) return;
+
+        const isFullscreen = Boolean(this.getFullscreenElement());
+        const icon = fullscreenBtn.querySelector('i');
+        if (icon) {
+            icon.className = isFullscreen ? 'fas fa-compress' : 'fas fa-expand';
+        }
+        fullscreenBtn.setAttribute('aria-label', i18n.t(isFullscreen ? 'slideshow.exitFullscreen' : 'slideshow.enterFullscreen'));
+    }
+
+    /**
+     * Get the element currently in fullscreen, if any
+     */
+    getFullscreenElement() {
+        return document.fullscreenElement || document.webkitFullscreenElement || null;
+    }
+
+    /**
+     * Toggle fullscreen for the slideshow modal
+     */
+    toggleFullscreen() {
+        const modal = document.getElementById('slideshow-modal');
+        if (!modal || !this.currentSlideshow) return;
+
+        if (this.getFullscreenElement()) {
+            this.exitFullscreen();
+            return;
+        }
+
+        const request = modal.requestFullscreen || modal.webkitRequestFullscreen;
+        if (!request) return;
+
+        const result = request.call(modal);
+        if (result && typeof result.catch === 'function') {
+            result.catch(error => console.warn('Fullscreen request failed:', error));
+        }
+    }
+
+    /**
+     * Leave fullscreen if the slideshow is in it
+     */
+    exitFullscreen() {
+        if (!this.getFullscreenElement()) return;
+
+        const exit = document.exitFullscreen || document.webkitExitFullscreen;
+        if (!exit) return;
+
+        const result = exit.call(document);
+        if (result && typeof result.catch === 'function') {
+            result.catch(error => console.warn('Exiting fullscreen failed:', error));
+        }
+    }
+
+    /**
+     * Preload the slides either side of the current one so they are ready when shown
+     */
+    preloadNeighbourSlides() {
+        const slides = document.querySelectorAll('.slideshow-slide');
+        const count = slides.length;
+        if (count < 2) return;
+
+        const neighbours = new Set([
+            (this.currentSlideIndex + 1) % count,
+            (this.currentSlideIndex - 1 + count) % count
+        ]);
+
+        neighbours.forEach(index => {
+            if (index === this.currentSlideIndex) return;
+
+            const slide = slides[index];
+            const image = slide.querySelector('img[loading="lazy"]');
+            if (image) {
+                image.loading = 'eager';
+            }
+
+            // Buffer the thumbnail's video; loadVideoOnDemand reuses the same element
+            const thumbnailVideo = slide.querySelector('.video-thumbnail[data-media-provider="local-video"] video');
+            if (thumbnailVideo && thumbnailVideo.preload !== 'auto') {
+                thumbnailVideo.preload = 'auto';
+                thumbnailVideo.load();
+            }
+        });
+    }
+
     /**
      * Open slideshow with media array
+     * @param {Array} mediaArray - Media items to show
+     * @param {number} startIndex - Index of the first slide to show
+     * @param {string} entryId - Id of the owning entry, used for deep links
      */
-    openSlideshow(mediaArray, startIndex = 0) {
+    openSlideshow(mediaArray, startIndex = 0, entryId = null) {
         this.slideshowMedia = mediaArray;
         this.currentSlideIndex = startIndex;
+        this.currentEntryId = entryId;
         
         const modal = document.getElementById('slideshow-modal');
         const content = document.getElementById('slideshow-content');
         
         if (!modal || !content) return;
 
+        // Remember what to return focus to, unless we're swapping one gallery for another
+        if (!this.currentSlideshow) {
+            this.slideshowTrigger = document.activeElement;
+        }
+
         // Clear existing content
         content.innerHTML = '';
 
@@ -509,32 +1072,71 @@ class RobloxProjectsManager {
         mediaArray.forEach((media, index) => {
             const slide = document.createElement('div');
             slide.className = `slideshow-slide ${index === startIndex ? 'active' : ''}`;
-            // Only load the first slide immediately, others are lazy loaded
-            this.setMediaContent(slide, media, index !== startIndex);
+            this.setMediaContent(slide, media, true);
             content.appendChild(slide);
         });
 
+        // Load the first slide immediately so it is managed like slides reached by navigation
+        const activeSlide = content.children[startIndex];
+        const activeThumbnail = activeSlide && activeSlide.querySelector('.video-thumbnail');
+        if (activeThumbnail) {
+            this.loadVideoOnDemand(activeThumbnail);
+        }
+
         // Setup indicators
         this.setupSlideshowIndicators();
 
         // Update caption
         this.updateSlideshowCaption();
 
+        this.preloadNeighbourSlides();
+
+        this.updateSlideshowTitle();
+
         // Show modal
         modal.classList.add('active');
         this.currentSlideshow = modal;
+        this.setPageInert(true);
 
         // Prevent body scroll
         document.body.style.overflow = 'hidden';
+
+        // Move focus into the dialog
+        const closeBtn = document.getElementById('slideshow-close');
+        if (closeBtn) {
+            closeBtn.focus();
+        }
+
+        this.router.onSlideshowOpened();
+        this.tracker.onSlideshowOpened();
+    }
+
+    /**
+     * Name the dialog after the entry whose media it shows
+     */
+    updateSlideshowTitle() {
+        const title = document.getElementById('slideshow-title');
+        if (!title) return;
+
+        const found = this.currentEntryId ? this.findEntry(this.currentEntryId) : null;
+        title.textContent = found
+            ? i18n.t('slideshow.title', { title: i18n.localize(found.entry, 'title') })
+            : i18n.t('slideshow.defaultTitle');
     }
 
     /**
      * Close slideshow
      */
     closeSlideshow() {
+        const wasOpen = Boolean(this.currentSlideshow);
+
         // Pause all videos before closing
         this.pauseAllVideos();
 
+        if (wasOpen) {
+            this.exitFullscreen();
+        }
+
         const modal = document.getElementById('slideshow-modal');
         if (modal) {
             modal.classList.remove('active');
@@ -543,9 +1145,38 @@ class RobloxProjectsManager {
         this.currentSlideshow = null;
         this.slideshowMedia = [];
         this.currentSlideIndex = 0;
+        this.currentEntryId = null;
+        this.setPageInert(false);
 
         // Restore body scroll
         document.body.style.overflow = '';
+
+        // Return focus to the button that opened the slideshow
+        if (wasOpen && this.slideshowTrigger && this.slideshowTrigger.isConnected &&
+            typeof this.slideshowTrigger.focus === 'function') {
+            this.slideshowTrigger.focus();
+        }
+        this.slideshowTrigger = null;
+
+        if (wasOpen) {
+            this.router.onSlideshowClosed();
+            this.tracker.onSlideshowClosed();
+        }
+    }
+
+    /**
+     * Make the page behind the slideshow unreachable while it is open
+     */
+    setPageInert(inert) {
+        const page = document.querySelector('.container');
+        if (!page) return;
+
+        page.inert = inert;
+        if (inert) {
+            page.setAttribute('aria-hidden', 'true');
+        } else {
+            page.removeAttribute('aria-hidden');
+        }
     }
 
     /**
@@ -602,21 +1233,29 @@ class RobloxProjectsManager {
                     this.loadVideoOnDemand(videoThumbnail);
                 }
             } else {
-                // Pause any videos in inactive slides
-                const video = slide.querySelector('video');
-                if (video && !video.paused) {
-                    video.pause();
-                }
+                // Pause any players in inactive slides
+                this.pausePlayersIn(slide);
             }
         });
 
         // Update indicators
         indicators.forEach((indicator, index) => {
-            indicator.classList.toggle('active', index === this.currentSlideIndex);
+            const isActive = index === this.currentSlideIndex;
+            indicator.classList.toggle('active', isActive);
+            if (isActive) {
+                indicator.setAttribute('aria-current', 'true');
+            } else {
+                indicator.removeAttribute('aria-current');
+            }
         });
 
         // Update caption
         this.updateSlideshowCaption();
+
+        this.preloadNeighbourSlides();
+
+        this.router.onSlideChanged();
+        this.tracker.onSlideChanged();
     }
 
     /**
@@ -630,7 +1269,12 @@ class RobloxProjectsManager {
 
         this.slideshowMedia.forEach((_, index) => {
             const indicator = document.createElement('button');
+            indicator.type = 'button';
             indicator.className = `slideshow-indicator ${index === this.currentSlideIndex ? 'active' : ''}`;
+            indicator.setAttribute('aria-label', i18n.t('slideshow.position', { index: index + 1, total: this.slideshowMedia.length }));
+            if (index === this.currentSlideIndex) {
+                indicator.setAttribute('aria-current', 'true');
+            }
             indicator.addEventListener('click', () => this.goToSlide(index));
             indicatorsContainer.appendChild(indicator);
         });
@@ -644,12 +1288,24 @@ class RobloxProjectsManager {
         if (!captionElement) return;
 
         const currentMedia = this.slideshowMedia[this.currentSlideIndex];
-        if (currentMedia && currentMedia.caption) {
-            captionElement.textContent = currentMedia.caption;
+        const caption = i18n.localize(currentMedia, 'caption');
+        if (caption) {
+            captionElement.textContent = caption;
             captionElement.style.display = 'block';
         } else {
             captionElement.style.display = 'none';
         }
+
+        // Announce the slide change to screen readers
+        const liveRegion = document.getElementById('slideshow-live');
+        if (liveRegion && currentMedia) {
+            const position = i18n.t('slideshow.position', {
+                index: this.currentSlideIndex + 1,
+                total: this.slideshowMedia.length
+            });
+            const description = caption || i18n.localize(currentMedia, 'alt');
+            liveRegion.textContent = description ? `${position}: ${description}` : position;
+        }
     }
 
     /**
@@ -659,6 +1315,14 @@ class RobloxProjectsManager {
         const videoThumbnail = mediaItem.querySelector('.video-thumbnail');
         if (!videoThumbnail) return;
 
+        // Also setup click to play functionality
+        videoThumbnail.addEventListener('click', () => {
+            this.loadVideoOnDemand(videoThumbnail);
+        });
+
+        const record = this.mediaThumbnails.get(videoThumbnail);
+        if (record && record.provider.loadWhenVisible === false) return;
+
         // Create intersection observer for viewport detection
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
@@ -672,59 +1336,165 @@ class RobloxProjectsManager {
         });
 
         observer.observe(videoThumbnail);
-
-        // Also setup click to play functionality
-        videoThumbnail.addEventListener('click', () => {
-            this.loadVideoOnDemand(videoThumbnail);
-        });
     }
 
     /**
      * Load video on demand when needed
      */
     loadVideoOnDemand(videoThumbnail) {
-        const videoType = videoThumbnail.getAttribute('data-video-type');
-        const videoUrl = videoThumbnail.getAttribute('data-video-url');
-        const videoId = videoThumbnail.getAttribute('data-video-id');
+        const record = this.mediaThumbnails.get(videoThumbnail);
+        if (!record || !videoThumbnail.isConnected) return;
+        this.mediaThumbnails.delete(videoThumbnail);
 
         // Pause any currently playing video before loading new one
         this.pauseAllVideos();
 
-        let videoContent = '';
-        let videoElement = null;
+        const options = { thumbnail: videoThumbnail, autoplay: true };
+        const player = this.createMediaPlayer(record.provider, record.media, options);
+        videoThumbnail.replaceWith(player);
 
-        if (videoType === 'youtube') {
-            videoContent = `<iframe src="https://www.youtube.com/embed/${videoId}?autoplay=1&mute=1&enablejsapi=1" allowfullscreen></iframe>`;
-        } else if (videoType === 'direct') {
-            videoContent = `<video controls autoplay muted preload="metadata" data-video-managed="true"><source src="${videoUrl}" type="video/mp4"></video>`;
+        if (record.provider.onLoaded) {
+            record.provider.onLoaded(player, record.media, this, options);
         }
+    }
 
-        if (videoContent) {
-            videoThumbnail.outerHTML = videoContent;
-            
-            // Find the newly created video element and set up event listeners
-            if (videoType === 'direct') {
-                // Use a small delay to ensure the element is in the DOM
-                setTimeout(() => {
-                    videoElement = document.querySelector(`video[src*="${videoUrl.split('/').pop()}"], video source[src*="${videoUrl.split('/').pop()}"]`);
-                    if (!videoElement && document.querySelector('video[data-video-managed="true"]')) {
-                        videoElement = document.querySelector('video[data-video-managed="true"]');
-                    }
-                    if (videoElement) {
-                        this.setupVideoEventListeners(videoElement);
-                        this.currentPlayingVideo = videoElement;
-                    }
-                }, 100);
-            }
+    /**
+     * Wire up a local video for one-at-a-time playback and progress tracking
+     * @param {Element} videoElement - Video created by the local video provider
+     * @param {string} url - Media URL
+     * @param {boolean} autoplay - Start playing (or offer to resume) right away
+     */
+    setupManagedVideo(videoElement, url, autoplay) {
+        videoElement.setAttribute('data-video-managed', 'true');
+        this.setupVideoEventListeners(videoElement);
+        this.trackVideoProgress(videoElement, url);
+
+        if (!autoplay) return;
+
+        const savedProgress = this.progressStore.get(url);
+        if (savedProgress) {
+            // Let the viewer choose where to start instead of autoplaying
+            videoElement.autoplay = false;
+            this.showResumePrompt(videoElement, url, savedProgress);
+            return;
         }
+
+        this.currentPlayingVideo = videoElement;
+        this.playVideo(videoElement);
     }
 
     /**
-     * Setup event listeners for video elements
+     * Start a video, ignoring autoplay rejections
+     */
+    playVideo(videoElement) {
+        // Autoplay doesn't restart an element that already buffered, so start it explicitly
+        const playPromise = videoElement.play();
+        if (playPromise && typeof playPromise.catch === 'function') {
+            playPromise.catch(() => {});
+        }
+    }
+
+    /**
+     * Save a managed video's position as it plays and forget it once it ends
+     * @param {Element} videoElement - Managed video
+     * @param {string} url - Media URL used as the storage key
+     */
+    trackVideoProgress(videoElement, url) {
+        let lastSavedTime = 0;
+        const saveInterval = this.progressStore.options.saveInterval;
+
+        videoElement.addEventListener('timeupdate', () => {
+            if (videoElement.ended) return;
+            if (Math.abs(videoElement.currentTime - lastSavedTime) < saveInterval) return;
+
+            lastSavedTime = videoElement.currentTime;
+            this.progressStore.save(url, videoElement.currentTime, videoElement.duration);
+        });
+
+        videoElement.addEventListener('pause', () => {
+            if (videoElement.ended) return;
+            this.progressStore.save(url, videoElement.currentTime, videoElement.duration);
+        });
+
+        videoElement.addEventListener('ended', () => {
+            this.progressStore.clear(url);
+        });
+    }
+
+    /**
+     * Offer to resume a video from its saved position or start over
+     * @param {Element} videoElement - Managed video
+     * @param {string} url - Media URL
+     * @param {Object} savedProgress - Saved position from the progress store
+     */
+    showResumePrompt(videoElement, url, savedProgress) {
+        const container = videoElement.parentElement;
+        if (!container) return;
+
+        const resumeBtn = SafeDom.create('button', {
+            className: 'resume-btn primary',
+            attrs: { type: 'button' },
+            children: [
+                SafeDom.icon('fas fa-play'),
+                SafeDom.create('span', { text: i18n.t('resume.from', { time: VideoProgressStore.formatTime(savedProgress.time) }) })
+            ]
+        });
+
+        const restartBtn = SafeDom.create('button', {
+            className: 'resume-btn',
+            attrs: { type: 'button' },
+            children: [
+                SafeDom.icon('fas fa-redo'),
+                SafeDom.create('span', { text: i18n.t('resume.startOver') })
+            ]
+        });
+
+        const prompt = SafeDom.create('div', {
+            className: 'resume-prompt',
+            attrs: { role: 'group', 'aria-label': i18n.t('resume.label') },
+            children: [resumeBtn, restartBtn]
+        });
+
+        const start = (time) => {
+            prompt.remove();
+            videoElement.currentTime = time;
+            this.currentPlayingVideo = videoElement;
+            this.playVideo(videoElement);
+        };
+
+        resumeBtn.addEventListener('click', () => start(savedProgress.time));
+        restartBtn.addEventListener('click', () => {
+            this.progressStore.clear(url);
+            start(0);
+        });
+
+        // Starting playback from the native controls dismisses the prompt
+        videoElement.addEventListener('play', () => prompt.remove(), { once: true });
+
+        container.appendChild(prompt);
+    }
+
+    /**
+     * Control a YouTube embed through the player API so it joins one-at-a-time playback
+     * @param {Element} iframe - YouTube embed created by the YouTube provider
+     */
+    setupYouTubePlayer(iframe) {
+        // The API reports state changes as play/pause/ended events on the iframe
+        this.setupVideoEventListeners(iframe);
+
+        this.youtubeApi.attach(iframe).catch(error => {
+            console.warn('YouTube player API unavailable:', error);
+        });
+    }
+
+    /**
+     * Setup event listeners for video elements and YouTube embeds
      */
     setupVideoEventListeners(videoElement) {
         if (!videoElement) return;
 
+        this.tracker.trackPlayer(videoElement);
+
         // When video starts playing, pause all others
         videoElement.addEventListener('play', () => {
             this.pauseAllVideosExcept(videoElement);
@@ -750,18 +1520,21 @@ class RobloxProjectsManager {
      * Pause all videos except the specified one
      */
     pauseAllVideosExcept(exceptVideo = null) {
-        const allVideos = document.querySelectorAll('video');
-        allVideos.forEach(video => {
-            if (video !== exceptVideo && !video.paused) {
-                video.pause();
-            }
-        });
+        this.pausePlayersIn(document, exceptVideo);
+    }
+
+    /**
+     * Ask each player's provider to pause it
+     * @param {Element|Document} root - Where to look for players
+     * @param {Element} exceptPlayer - Player to leave running
+     */
+    pausePlayersIn(root, exceptPlayer = null) {
+        root.querySelectorAll('[data-media-player]').forEach(player => {
+            if (player === exceptPlayer) return;
 
-        // Also pause YouTube videos by reloading them without autoplay
-        const allIframes = document.querySelectorAll('iframe[src*="youtube.com"]');
-        allIframes.forEach(iframe => {
-            if (iframe.src.includes('autoplay=1')) {
-                iframe.src = iframe.src.replace('autoplay=1', 'autoplay=0');
+            const provider = this.mediaProviders.get(player.getAttribute('data-media-player'));
+            if (provider && provider.pause) {
+                provider.pause(player, this);
             }
         });
     }
@@ -784,29 +1557,28 @@ class RobloxProjectsManager {
 
         this.videoObserver = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
-                const video = entry.target.querySelector('video');
-                if (video && !entry.isIntersecting && !video.paused) {
-                    // Pause video when it goes out of viewport
-                    video.pause();
+                if (!entry.isIntersecting) {
+                    // Pause players when they go out of viewport
+                    this.pausePlayersIn(entry.target);
                 }
             });
         }, {
             threshold: 0.1 // Pause when less than 10% visible
         });
 
-        // Observe all media items
-        document.querySelectorAll('.media-item').forEach(mediaItem => {
-            this.videoObserver.observe(mediaItem);
-        });
+        this.observeMediaItems(document);
     }
 
     /**
-     * Extract YouTube video ID from URL
+     * Watch the media items in newly rendered content
+     * @param {Element|Document} root - Where to look for media items
      */
-    extractYouTubeId(url) {
-        const regExp = /^.*(youtu.be\/|v\/|u\/\w\/|embed\/|watch\?v=|&v=)([^#&?]*).*/;
-        const match = url.match(regExp);
-        return (match && match[2].length === 11) ? match[2] : null;
+    observeMediaItems(root) {
+        if (!this.videoObserver) return;
+
+        root.querySelectorAll('.media-item').forEach(mediaItem => {
+            this.videoObserver.observe(mediaItem);
+        });
     }
 
     /**
@@ -823,7 +1595,7 @@ class RobloxProjectsManager {
                 container.innerHTML = `
                     <div style="text-align: center; padding: 2rem; color: var(--text-muted);">
                         <i class="fas fa-exclamation-triangle" style="font-size: 3rem; margin-bottom: 1rem;"></i>
-                        <p>Failed to load project data. Please try refreshing the page.</p>
+                        <p>${SafeDom.escapeHtml(i18n.t('roblox.loadError'))}</p>
                     </div>
                 `;
             }
@@ -831,16 +1603,44 @@ class RobloxProjectsManager {
     }
 
     /**
-     * Cleanup method
+     * Re-render language-dependent content after the language changes
+     * Static markup is translated by i18n itself
      */
-    cleanup() {
-        // Clear any intervals
-        document.querySelectorAll('[data-cycle-interval]').forEach(element => {
-            const intervalId = element.getAttribute('data-cycle-interval');
-            if (intervalId) {
-                clearInterval(parseInt(intervalId));
+    applyLanguage() {
+        this.filterBar.renderToolbar();
+        this.renderStatsPanel();
+        this.renderDataNotice();
+        this.refreshProjectLists();
+        this.detailView.refresh();
+        this.inquiryForm.applyLanguage();
+        this.comparison.applyLanguage();
+        this.updateFullscreenButton();
+
+        if (this.currentSlideshow) {
+            this.updateSlideshowTitle();
+            this.setupSlideshowIndicators();
+            this.updateSlideshowCaption();
+        }
+    }
+
+    /**
+     * Destroy the preview carousels inside a container
+     */
+    destroyPreviewCarousels(root = document) {
+        this.previewCarousels.forEach((carousel, mediaPreview) => {
+            if (root === document || root.contains(mediaPreview)) {
+                carousel.destroy();
+                this.previewCarousels.delete(mediaPreview);
             }
         });
+    }
+
+    /**
+     * Cleanup method
+     */
+    cleanup() {
+        // Stop the preview carousels
+        this.destroyPreviewCarousels();
 
         // Disconnect video observer
         if (this.videoObserver) {
@@ -853,9 +1653,25 @@ class RobloxProjectsManager {
 
         // Close slideshow
         this.closeSlideshow();
+
+        // Release generated poster images
+        this.posterCache.cleanup();
     }
 }
 
+// Elements that can take focus inside the slideshow dialog
+RobloxProjectsManager.FOCUSABLE_SELECTOR = [
+    'button:not([disabled])',
+    'a[href]',
+    'iframe',
+    'video[controls]',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Swipe gestures must cover this many pixels and finish within this many milliseconds
+RobloxProjectsManager.SWIPE_THRESHOLD = 50;
+RobloxProjectsManager.SWIPE_MAX_DURATION = 500;
+
 // Initialize the Roblox projects manager
 const robloxProjectsManager = new RobloxProjectsManager();
 
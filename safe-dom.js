@@ -0,0 +1,158 @@
+/**
+ * Safe DOM Helpers
+ * Builds elements from data without innerHTML so data fields can't break markup or inject script
+ */
+class SafeDom {
+    /**
+     * Create an element
+     * @param {string} tag - Tag name
+     * @param {Object} options - className, text, attrs, children
+     * @returns {Element} The new element
+     */
+    static create(tag, options = {}) {
+        const element = document.createElement(tag);
+
+        if (options.className) {
+            element.className = options.className;
+        }
+
+        if (options.attrs) {
+            Object.entries(options.attrs).forEach(([name, value]) => {
+                SafeDom.setAttribute(element, name, value);
+            });
+        }
+
+        if (options.text !== undefined && options.text !== null) {
+            element.textContent = String(options.text);
+        }
+
+        if (options.children) {
+            SafeDom.append(element, options.children);
+        }
+
+        return element;
+    }
+
+    /**
+     * Append children, turning strings into text nodes
+     * @param {Element} parent - Parent element
+     * @param {Array} children - Elements, strings or null
+     * @returns {Element} The parent element
+     */
+    static append(parent, children) {
+        children.forEach(child => {
+            if (child === null || child === undefined || child === false) return;
+            parent.appendChild(typeof child === 'string' || typeof child === 'number'
+                ? document.createTextNode(String(child))
+                : child);
+        });
+        return parent;
+    }
+
+    /**
+     * Set an attribute, validating URL and class values
+     * @param {Element} element - Target element
+     * @param {string} name - Attribute name
+     * @param {*} value - Attribute value; null, undefined and false skip the attribute
+     */
+    static setAttribute(element, name, value) {
+        if (value === null || value === undefined || value === false) return;
+
+        const attribute = name.toLowerCase();
+
+        // Event handler attributes are never set from data
+        if (attribute.startsWith('on')) {
+            console.warn(`Refused to set event handler attribute "${name}"`);
+            return;
+        }
+
+        if (SafeDom.URL_ATTRIBUTES.includes(attribute)) {
+            const url = SafeDom.safeUrl(value);
+            if (url === null) {
+                console.warn(`Refused unsafe URL for ${name}: "${value}"`);
+                return;
+            }
+            element.setAttribute(name, url);
+            return;
+        }
+
+        element.setAttribute(name, value === true ? '' : String(value));
+    }
+
+    /**
+     * Check a URL against the scheme allow-list
+     * @param {string} value - URL from data
+     * @returns {string|null} The URL if allowed, otherwise null
+     */
+    static safeUrl(value) {
+        if (typeof value !== 'string') return null;
+
+        const url = value.trim();
+        if (url === '') return null;
+
+        // Browsers ignore whitespace and control characters inside the scheme
+        const scheme = url.replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+        if (!scheme) {
+            return url; // Relative URL or fragment
+        }
+
+        return SafeDom.URL_SCHEMES.includes(scheme[1].toLowerCase()) ? url : null;
+    }
+
+    /**
+     * Check an icon class string against the Font Awesome allow-list
+     * @param {string} value - Icon classes from data
+     * @param {string} fallback - Classes to use when the value is rejected
+     * @returns {string} Safe icon classes
+     */
+    static safeIconClass(value, fallback = 'fas fa-external-link-alt') {
+        if (typeof value !== 'string' || value.trim() === '') return fallback;
+
+        const tokens = value.trim().split(/\s+/);
+        const valid = tokens.every(token => SafeDom.ICON_CLASS_PATTERN.test(token));
+        if (!valid) {
+            console.warn(`Refused icon class "${value}"`);
+            return fallback;
+        }
+
+        return tokens.join(' ');
+    }
+
+    /**
+     * Create a Font Awesome icon element
+     * @param {string} iconClass - Icon classes from data
+     * @param {string} fallback - Classes to use when the value is rejected
+     * @returns {Element} Icon element
+     */
+    static icon(iconClass, fallback) {
+        return SafeDom.create('i', { className: SafeDom.safeIconClass(iconClass, fallback) });
+    }
+
+    /**
+     * Escape text for the rare places that still build HTML strings
+     * @param {*} value - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+SafeDom.URL_ATTRIBUTES = ['href', 'src', 'poster', 'action', 'formaction', 'data'];
+
+SafeDom.URL_SCHEMES = ['http', 'https', 'mailto'];
+
+SafeDom.ICON_CLASS_PATTERN = /^(fa[srlbd]?|fa-[a-z0-9-]+)$/;
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SafeDom;
+}
+
+// Make available globally for debugging
+window.SafeDom = SafeDom;
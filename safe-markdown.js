@@ -0,0 +1,260 @@
+/**
+ * Safe Markdown Renderer
+ * Renders a small Markdown subset (paragraphs, lists, emphasis, inline code, links) to DOM nodes
+ * Output is built with SafeDom, never innerHTML, so raw HTML in the source shows as text and
+ * links go through the same scheme allow-list as every other data URL
+ */
+class SafeMarkdown {
+    /**
+     * Render block Markdown: paragraphs separated by blank lines, and "-", "*" or "1." lists
+     * @param {string} source - Markdown text
+     * @returns {DocumentFragment} Paragraph and list elements
+     */
+    static render(source) {
+        const fragment = document.createDocumentFragment();
+        if (typeof source !== 'string' || source.trim() === '') return fragment;
+
+        SafeMarkdown.parseBlocks(source).forEach(block => {
+            if (block.type === 'paragraph') {
+                fragment.appendChild(SafeDom.create('p', { children: SafeMarkdown.parseInline(block.text) }));
+                return;
+            }
+
+            fragment.appendChild(SafeDom.create(block.type === 'ordered' ? 'ol' : 'ul', {
+                children: block.items.map(item => SafeDom.create('li', { children: SafeMarkdown.parseInline(item) }))
+            }));
+        });
+
+        return fragment;
+    }
+
+    /**
+     * Render inline Markdown only, for single-line fields such as features
+     * @param {string} source - Markdown text
+     * @returns {DocumentFragment} Text, emphasis, code and link nodes
+     */
+    static renderInline(source) {
+        const fragment = document.createDocumentFragment();
+        if (typeof source !== 'string') return fragment;
+
+        SafeDom.append(fragment, SafeMarkdown.parseInline(source.replace(/\s*\n\s*/g, ' ')));
+        return fragment;
+    }
+
+    /**
+     * Split source into paragraph and list blocks
+     * @returns {Array} Blocks: { type: 'paragraph', text } or { type: 'ordered'|'unordered', items }
+     */
+    static parseBlocks(source) {
+        const blocks = [];
+        let paragraph = [];
+        let list = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                blocks.push(list);
+                list = null;
+            }
+        };
+
+        source.replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+            const line = rawLine.trim();
+
+            if (line === '') {
+                flushParagraph();
+                flushList();
+                return;
+            }
+
+            const unordered = line.match(SafeMarkdown.UNORDERED_ITEM);
+            const ordered = unordered ? null : line.match(SafeMarkdown.ORDERED_ITEM);
+            if (unordered || ordered) {
+                const type = unordered ? 'unordered' : 'ordered';
+                flushParagraph();
+                if (!list || list.type !== type) {
+                    flushList();
+                    list = { type, items: [] };
+                }
+                list.items.push((unordered || ordered)[1]);
+                return;
+            }
+
+            if (list) {
+                // An indented or plain line straight after an item continues it
+                list.items[list.items.length - 1] += ` ${line}`;
+                return;
+            }
+
+            paragraph.push(line);
+        });
+
+        flushParagraph();
+        flushList();
+        return blocks;
+    }
+
+    /**
+     * Parse inline Markdown into nodes
+     * @param {string} text - One block's text
+     * @param {boolean} allowLinks - False inside link text, where links can't nest
+     * @returns {Array} Strings and elements for SafeDom.append
+     */
+    static parseInline(text, allowLinks = true) {
+        const nodes = [];
+        let buffer = '';
+        let index = 0;
+
+        const flush = () => {
+            if (buffer) {
+                nodes.push(buffer);
+                buffer = '';
+            }
+        };
+
+        while (index < text.length) {
+            const char = text[index];
+
+            // Backslash escapes a punctuation character
+            if (char === '\\' && SafeMarkdown.ESCAPABLE.includes(text[index + 1])) {
+                buffer += text[index + 1];
+                index += 2;
+                continue;
+            }
+
+            if (char === '`') {
+                const end = text.indexOf('`', index + 1);
+                if (end > index + 1) {
+                    flush();
+                    nodes.push(SafeDom.create('code', { text: text.slice(index + 1, end) }));
+                    index = end + 1;
+                    continue;
+                }
+            }
+
+            if (char === '[' && allowLinks) {
+                const link = SafeMarkdown.matchLink(text, index);
+                if (link) {
+                    flush();
+                    nodes.push(SafeMarkdown.createLink(link.label, link.url));
+                    index = link.end;
+                    continue;
+                }
+            }
+
+            if (char === '*' || char === '_') {
+                const emphasis = SafeMarkdown.matchEmphasis(text, index);
+                if (emphasis) {
+                    flush();
+                    nodes.push(SafeDom.create(emphasis.strong ? 'strong' : 'em', {
+                        children: SafeMarkdown.parseInline(emphasis.inner, allowLinks)
+                    }));
+                    index = emphasis.end;
+                    continue;
+                }
+            }
+
+            buffer += char;
+            index++;
+        }
+
+        flush();
+        return nodes;
+    }
+
+    /**
+     * Match [label](url) starting at an index
+     * @returns {Object|null} { label, url, end }
+     */
+    static matchLink(text, start) {
+        const labelEnd = text.indexOf(']', start + 1);
+        if (labelEnd === -1 || text[labelEnd + 1] !== '(') return null;
+
+        // URLs may contain balanced parentheses (e.g. wiki links)
+        let depth = 0;
+        let urlEnd = -1;
+        for (let index = labelEnd + 2; index < text.length && urlEnd === -1; index++) {
+            if (text[index] === '(') depth++;
+            if (text[index] === ')') {
+                if (depth === 0) urlEnd = index;
+                depth--;
+            }
+        }
+        if (urlEnd === -1) return null;
+
+        const label = text.slice(start + 1, labelEnd);
+        const url = text.slice(labelEnd + 2, urlEnd).trim();
+        if (!label || !url || /\s/.test(url)) return null;
+
+        return { label, url, end: urlEnd + 1 };
+    }
+
+    /**
+     * Match *em*, _em_, **strong** or __strong__ starting at an index
+     * Delimiters must hug the text, and underscores can't open or close inside a word (snake_case stays as is)
+     * @returns {Object|null} { strong, inner, end }
+     */
+    static matchEmphasis(text, start) {
+        const char = text[start];
+        const strong = text[start + 1] === char;
+        const delimiter = strong ? char + char : char;
+        const contentStart = start + delimiter.length;
+
+        if (!text[contentStart] || /\s/.test(text[contentStart])) return null;
+        if (char === '_' && start > 0 && /[\p{L}\p{N}]/u.test(text[start - 1])) return null;
+
+        let search = contentStart;
+        while (search < text.length) {
+            const end = text.indexOf(delimiter, search);
+            if (end === -1) return null;
+
+            const isDoubled = !strong && text[end + 1] === char;
+            const hugsText = !/\s/.test(text[end - 1]);
+            const wordContinues = char === '_' && /[\p{L}\p{N}]/u.test(text[end + delimiter.length] || '');
+
+            if (end > contentStart && hugsText && !isDoubled && !wordContinues) {
+                return { strong, inner: text.slice(contentStart, end), end: end + delimiter.length };
+            }
+
+            // A single delimiter skips past a doubled one (**bold** inside *emphasis*)
+            search = isDoubled ? end + 2 : end + 1;
+        }
+
+        return null;
+    }
+
+    /**
+     * Create a link that opens in a new tab, or plain text if the URL is refused
+     */
+    static createLink(label, url) {
+        const children = SafeMarkdown.parseInline(label, false);
+        if (SafeDom.safeUrl(url) === null) {
+            console.warn(`Refused unsafe Markdown link "${url}"`);
+            return SafeDom.create('span', { children });
+        }
+
+        return SafeDom.create('a', {
+            attrs: { href: url, target: '_blank', rel: 'noopener noreferrer' },
+            children
+        });
+    }
+}
+
+SafeMarkdown.UNORDERED_ITEM = /^[-*+]\s+(.*)$/;
+
+SafeMarkdown.ORDERED_ITEM = /^\d+[.)]\s+(.*)$/;
+
+SafeMarkdown.ESCAPABLE = '\\`*_[]()#+-.!';
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SafeMarkdown;
+}
+
+// Make available globally for debugging
+window.SafeMarkdown = SafeMarkdown;
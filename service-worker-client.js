@@ -0,0 +1,50 @@
+/**
+ * Service Worker Client
+ * Registers sw.js once the page has loaded, so precaching doesn't compete with the first render
+ */
+class ServiceWorkerClient {
+    constructor(options = {}) {
+        this.options = { ...ServiceWorkerClient.DEFAULT_OPTIONS, ...options };
+        this.registration = null;
+        this.init();
+    }
+
+    /**
+     * Register after the load event
+     */
+    init() {
+        if (!('serviceWorker' in navigator)) return;
+
+        if (document.readyState === 'complete') {
+            this.register();
+        } else {
+            window.addEventListener('load', () => this.register(), { once: true });
+        }
+    }
+
+    /**
+     * Register the worker, logging rather than failing when it can't be (e.g. file:// or private browsing)
+     */
+    async register() {
+        try {
+            this.registration = await navigator.serviceWorker.register(this.options.scriptUrl);
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+        }
+    }
+}
+
+ServiceWorkerClient.DEFAULT_OPTIONS = {
+    scriptUrl: 'sw.js'
+};
+
+// Initialize the service worker client when script loads
+const serviceWorkerClient = new ServiceWorkerClient();
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ServiceWorkerClient;
+}
+
+// Make available globally for debugging
+window.serviceWorkerClient = serviceWorkerClient;
@@ -0,0 +1,241 @@
+/**
+ * Skills Overview
+ * Counts how often each technology is used across index.html and roblox.html data,
+ * grouped by taxonomy category; choosing a skill lists the projects that use it
+ */
+class SkillsOverview {
+    constructor(options = {}) {
+        this.options = { ...SkillsOverview.DEFAULT_OPTIONS, ...options };
+        this.skills = []; // { name, category, icon, uses: [{ item, titleField, href, source }] }, most used first
+        this.selected = null; // Name of the skill whose projects are listed
+        this.init();
+    }
+
+    /**
+     * Initialize the skills overview
+     */
+    async init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            await this.setup();
+        }
+    }
+
+    /**
+     * Load both pages' data and render
+     */
+    async setup() {
+        const section = document.getElementById(this.options.sectionId);
+        if (!section) return;
+
+        const [sources] = await Promise.all([this.loadSources(), techTaxonomy.load()]);
+        this.skills = this.collect(sources);
+        this.render();
+        document.addEventListener('languagechange', () => this.render());
+    }
+
+    /**
+     * Fetch both data files
+     * A page whose data fails to load contributes nothing rather than hiding the overview
+     * @returns {Promise<Object>} { sections, projects, commissions }
+     */
+    async loadSources() {
+        const fetchJson = async (url) => {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return response.json();
+        };
+
+        const [portfolio, roblox] = await Promise.allSettled([
+            fetchJson(this.options.portfolioDataUrl),
+            fetchJson(this.options.robloxDataUrl)
+        ]);
+        [portfolio, roblox].forEach(result => {
+            if (result.status === 'rejected') {
+                console.error('Skills overview could not load project data:', result.reason);
+            }
+        });
+
+        const robloxData = roblox.status === 'fulfilled' ? roblox.value : {};
+        return {
+            sections: portfolio.status === 'fulfilled' ? portfolio.value.sections || [] : [],
+            projects: Array.isArray(robloxData.projects) ? robloxData.projects : [],
+            commissions: Array.isArray(robloxData.commissions) ? robloxData.commissions : []
+        };
+    }
+
+    /**
+     * Count each canonical technology and remember which items use it
+     * @returns {Array} Skills sorted by usage, then name
+     */
+    collect({ sections, projects, commissions }) {
+        const skills = new Map();
+        const add = (tags, use) => {
+            if (!Array.isArray(tags)) return;
+
+            techTaxonomy.canonicalize(tags).forEach(name => {
+                if (!skills.has(name)) {
+                    const { category, icon } = techTaxonomy.resolve(name);
+                    skills.set(name, { name, category, icon, uses: [] });
+                }
+                skills.get(name).uses.push(use);
+            });
+        };
+
+        sections.forEach(section => {
+            (section.items || []).forEach(item => {
+                if (!item || !item.id || !item.name) return;
+                add(item.techTags, {
+                    item,
+                    titleField: 'name',
+                    href: `${this.options.portfolioPage}#${encodeURIComponent(item.id)}`,
+                    source: { section }
+                });
+            });
+        });
+
+        [['projects', projects], ['commissions', commissions]].forEach(([group, entries]) => {
+            entries.forEach(entry => {
+                if (!entry || !entry.id || !entry.title) return;
+                add(entry.techStack, {
+                    item: entry,
+                    titleField: 'title',
+                    href: `${this.options.robloxPage}#${encodeURIComponent(entry.id)}/details`,
+                    source: { groupKey: `roblox.${group}` }
+                });
+            });
+        });
+
+        return Array.from(skills.values())
+            .sort((a, b) => b.uses.length - a.uses.length || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Render the skills grouped by category, and the selected skill's projects
+     */
+    render() {
+        const section = document.getElementById(this.options.sectionId);
+        if (!section) return;
+
+        section.hidden = this.skills.length === 0;
+        if (section.hidden) return;
+
+        const categories = [...TechTaxonomy.CATEGORY_ORDER, null];
+        const groups = categories
+            .map(category => ({ category, skills: this.skills.filter(skill => skill.category === category) }))
+            .filter(group => group.skills.length > 0)
+            .map(group => SafeDom.create('div', {
+                className: 'skills-group',
+                children: [
+                    SafeDom.create('h3', { className: 'skills-group-title', text: techTaxonomy.getCategoryLabel(group.category) }),
+                    SafeDom.create('div', {
+                        className: 'skills-list',
+                        children: group.skills.map(skill => this.createSkillButton(skill))
+                    })
+                ]
+            }));
+
+        section.querySelector('.skills-groups').replaceChildren(...groups);
+        this.renderProjects();
+    }
+
+    /**
+     * Create the toggle button for a skill
+     */
+    createSkillButton(skill) {
+        const button = SafeDom.create('button', {
+            className: 'skill-chip',
+            attrs: {
+                type: 'button',
+                'aria-pressed': String(skill.name === this.selected),
+                'aria-controls': this.options.projectsId,
+                'aria-label': i18n.t('skills.chip', { name: skill.name, count: skill.uses.length }),
+                'data-skill': skill.name,
+                'data-tech-category': skill.category
+            },
+            children: [
+                skill.icon ? SafeDom.icon(skill.icon) : null,
+                SafeDom.create('span', { text: skill.name }),
+                SafeDom.create('span', { className: 'skill-count', attrs: { 'aria-hidden': 'true' }, text: i18n.formatNumber(skill.uses.length) })
+            ]
+        });
+        button.addEventListener('click', () => this.select(skill.name === this.selected ? null : skill.name));
+        return button;
+    }
+
+    /**
+     * Show the projects using a skill, or hide the list
+     * @param {string|null} name - Canonical skill name
+     */
+    select(name) {
+        this.selected = name;
+        document.querySelectorAll(`#${this.options.sectionId} .skill-chip`).forEach(button => {
+            button.setAttribute('aria-pressed', String(button.getAttribute('data-skill') === name));
+        });
+        this.renderProjects();
+    }
+
+    /**
+     * Render the list of projects using the selected skill
+     */
+    renderProjects() {
+        const panel = document.getElementById(this.options.projectsId);
+        if (!panel) return;
+
+        const skill = this.skills.find(item => item.name === this.selected);
+        panel.hidden = !skill;
+        if (!skill) {
+            panel.replaceChildren();
+            return;
+        }
+
+        panel.replaceChildren(
+            SafeDom.create('h3', { className: 'skill-projects-title', text: i18n.t('skills.projectsUsing', { name: skill.name }) }),
+            SafeDom.create('ul', {
+                className: 'skill-projects-list',
+                children: skill.uses.map(use => SafeDom.create('li', {
+                    children: [
+                        SafeDom.create('a', {
+                            attrs: { href: use.href },
+                            text: i18n.localize(use.item, use.titleField)
+                        }),
+                        SafeDom.create('span', { className: 'skill-project-source', text: this.describeSource(use.source) })
+                    ]
+                }))
+            })
+        );
+    }
+
+    /**
+     * Describe where a project lives: its index.html section or its Roblox list
+     */
+    describeSource(source) {
+        if (source.section) {
+            return i18n.localize(source.section, 'title');
+        }
+        return `${i18n.t('roblox.title')} · ${i18n.t(source.groupKey)}`;
+    }
+}
+
+SkillsOverview.DEFAULT_OPTIONS = {
+    sectionId: 'skills-overview',
+    projectsId: 'skill-projects',
+    portfolioDataUrl: 'portfolio-data.json',
+    robloxDataUrl: 'roblox-data.json',
+    portfolioPage: 'index.html',
+    robloxPage: 'roblox.html'
+};
+
+// Initialize the skills overview
+const skillsOverview = new SkillsOverview();
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkillsOverview;
+}
+
+// Make available globally for debugging
+window.skillsOverview = skillsOverview;
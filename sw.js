@@ -0,0 +1,377 @@
+/**
+ * Service Worker
+ * Precaches the site shell, serves pages, scripts and styles network-first, revalidates data in the
+ * background, caches media on demand (serving Range requests from the cache so videos can still seek)
+ * and falls back to offline.html
+ */
+class SiteServiceWorker {
+    constructor(scope) {
+        this.scope = scope;
+        this.mediaDownloads = new Map(); // Media URL -> in-flight full download
+    }
+
+    /**
+     * Precache the shell and activate without waiting for old tabs to close
+     */
+    async handleInstall() {
+        const [staticCache, dataCache] = await Promise.all([
+            caches.open(SiteServiceWorker.CACHES.static),
+            caches.open(SiteServiceWorker.CACHES.data)
+        ]);
+
+        // Data files go where staleWhileRevalidate will look for them
+        const isData = url => url.endsWith('.json');
+        const urls = SiteServiceWorker.PRECACHE_URLS.map(url => this.resolve(url));
+        await Promise.all([
+            staticCache.addAll(urls.filter(url => !isData(url))),
+            dataCache.addAll(urls.filter(isData))
+        ]);
+        await self.skipWaiting();
+    }
+
+    /**
+     * Drop caches from older versions and take control of open pages
+     */
+    async handleActivate() {
+        const current = Object.values(SiteServiceWorker.CACHES);
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(SiteServiceWorker.CACHE_PREFIX) && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    }
+
+    /**
+     * Pick a strategy for a request
+     * @returns {Promise<Response>|null} Response promise, or null to let the browser handle it
+     */
+    handleFetch(event) {
+        const request = event.request;
+        if (request.method !== 'GET') return null;
+
+        const url = new URL(request.url);
+        if (url.origin !== self.location.origin) return null;
+
+        if (request.mode === 'navigate') {
+            return this.networkFirstPage(request);
+        }
+        if (SiteServiceWorker.isMedia(url)) {
+            return this.cachedMedia(event, url);
+        }
+
+        if (SiteServiceWorker.CODE_PATTERN.test(url.pathname)) {
+            return this.networkFirstAsset(event.request);
+        }
+
+        const cacheName = url.pathname.endsWith('.json')
+            ? SiteServiceWorker.CACHES.data
+            : SiteServiceWorker.CACHES.static;
+        return this.staleWhileRevalidate(event, cacheName);
+    }
+
+    /**
+     * Pages come from the network when possible so new deployments show up straight away
+     * Query strings (filters, sort) and hashes don't change the page, so any cached copy will do
+     */
+    async networkFirstPage(request) {
+        try {
+            const response = await fetch(request);
+            if (response.ok) {
+                const cache = await caches.open(SiteServiceWorker.CACHES.static);
+                await cache.put(this.stripSearch(request.url), response.clone());
+            }
+            return response;
+        } catch (error) {
+            const cached = await caches.match(this.stripSearch(request.url));
+            return cached || caches.match(this.resolve(SiteServiceWorker.OFFLINE_URL));
+        }
+    }
+
+    /**
+     * Scripts and stylesheets also come from the network when possible, so a fresh page never
+     * runs last deployment's code; the cached copy is only for offline use
+     */
+    async networkFirstAsset(request) {
+        try {
+            const response = await fetch(request);
+            if (response.ok) {
+                const cache = await caches.open(SiteServiceWorker.CACHES.static);
+                await cache.put(this.stripSearch(request.url), response.clone());
+            }
+            return response;
+        } catch (error) {
+            const cached = await caches.match(this.stripSearch(request.url));
+            if (cached) return cached;
+            throw error;
+        }
+    }
+
+    /**
+     * Answer from the cache straight away and refresh it in the background
+     */
+    async staleWhileRevalidate(event, cacheName) {
+        const cache = await caches.open(cacheName);
+        const cached = await cache.match(event.request, { ignoreSearch: true });
+
+        const revalidate = fetch(event.request)
+            .then(async response => {
+                if (response.ok) {
+                    await cache.put(this.stripSearch(event.request.url), response.clone());
+                }
+                return response;
+            });
+
+        if (cached) {
+            event.waitUntil(revalidate.catch(() => {}));
+            return cached;
+        }
+        return revalidate;
+    }
+
+    /**
+     * Serve media from the cache (slicing for Range requests), or from the network while
+     * the whole file downloads into the cache for next time
+     */
+    async cachedMedia(event, url) {
+        const key = url.origin + url.pathname;
+        const cache = await caches.open(SiteServiceWorker.CACHES.media);
+        const rangeHeader = event.request.headers.get('range');
+        const cached = await cache.match(key);
+
+        if (cached) {
+            return this.createRangeResponse(cached, rangeHeader);
+        }
+
+        // Only a request for the whole file can share its download with the cache; other ranges
+        // (seeks, or a file already downloading) go to the network on their own
+        const wholeFile = !rangeHeader || /^bytes=0-$/.test(rangeHeader.trim());
+        if (!wholeFile || this.mediaDownloads.has(key)) {
+            return fetch(event.request);
+        }
+
+        // One download: the page reads one copy of the body while the other goes into the cache
+        const response = await fetch(key);
+        event.waitUntil(this.downloadMedia(key, response.clone()).catch(error => {
+            console.warn(`Could not cache ${key}:`, error);
+        }));
+        return response;
+    }
+
+    /**
+     * Download a whole media file into the cache, once, then enforce the size budget
+     * @param {string} key - Media URL without its query string
+     * @param {Response} [fetched] - Response for the whole file that is already on its way, instead of fetching it again
+     */
+    downloadMedia(key, fetched = null) {
+        if (this.mediaDownloads.has(key)) {
+            return this.mediaDownloads.get(key);
+        }
+
+        const download = (async () => {
+            const response = fetched || await fetch(key);
+            const declared = Number(response.headers.get('content-length'));
+            if (response.status !== 200 || declared > SiteServiceWorker.MEDIA_MAX_ENTRY) {
+                // Let go of the body so a shared download isn't buffered for nothing
+                if (response.body) response.body.cancel();
+                return;
+            }
+
+            const blob = await response.blob();
+            if (blob.size > SiteServiceWorker.MEDIA_MAX_ENTRY) return;
+
+            const headers = new Headers(response.headers);
+            headers.set('content-length', String(blob.size));
+            headers.set(SiteServiceWorker.CACHED_AT_HEADER, String(Date.now()));
+
+            const cache = await caches.open(SiteServiceWorker.CACHES.media);
+            await cache.put(key, new Response(blob, { status: 200, headers }));
+            await this.enforceMediaBudget(cache);
+        })();
+
+        this.mediaDownloads.set(key, download);
+        return download.finally(() => this.mediaDownloads.delete(key));
+    }
+
+    /**
+     * Evict the oldest cached media until the total fits the budget
+     */
+    async enforceMediaBudget(cache) {
+        const requests = await cache.keys();
+        const entries = await Promise.all(requests.map(async request => {
+            const response = await cache.match(request);
+            return {
+                request,
+                size: Number(response.headers.get('content-length')) || 0,
+                cachedAt: Number(response.headers.get(SiteServiceWorker.CACHED_AT_HEADER)) || 0
+            };
+        }));
+
+        let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+        entries.sort((a, b) => a.cachedAt - b.cachedAt);
+
+        for (const entry of entries) {
+            if (total <= SiteServiceWorker.MEDIA_BUDGET) break;
+            await cache.delete(entry.request);
+            total -= entry.size;
+        }
+    }
+
+    /**
+     * Build a 206 Partial Content response from a full cached response
+     * @param {Response} response - Cached 200 response
+     * @param {string|null} rangeHeader - Request's Range header
+     * @returns {Promise<Response>} The full response when there's no usable range, 416 when it can't be satisfied
+     */
+    async createRangeResponse(response, rangeHeader) {
+        if (!rangeHeader) return response;
+
+        const blob = await response.blob();
+        const range = SiteServiceWorker.parseRange(rangeHeader, blob.size);
+        const headers = new Headers(response.headers);
+        headers.delete(SiteServiceWorker.CACHED_AT_HEADER);
+
+        if (range === null) {
+            headers.set('content-length', String(blob.size));
+            return new Response(blob, { status: 200, headers });
+        }
+        if (range === false) {
+            return new Response(null, {
+                status: 416,
+                headers: { 'content-range': `bytes */${blob.size}` }
+            });
+        }
+
+        const slice = blob.slice(range.start, range.end + 1);
+        headers.set('content-range', `bytes ${range.start}-${range.end}/${blob.size}`);
+        headers.set('content-length', String(slice.size));
+        headers.set('accept-ranges', 'bytes');
+        return new Response(slice, { status: 206, statusText: 'Partial Content', headers });
+    }
+
+    /**
+     * Resolve a path against the worker's scope
+     */
+    resolve(path) {
+        return new URL(path, this.scope).href;
+    }
+
+    /**
+     * Drop the query string and hash from a URL
+     */
+    stripSearch(href) {
+        const url = new URL(href);
+        return url.origin + url.pathname;
+    }
+
+    /**
+     * Parse a single "bytes=" range
+     * @param {string} header - Range header, e.g. "bytes=0-", "bytes=100-199" or "bytes=-500"
+     * @param {number} size - Total size in bytes
+     * @returns {Object|null|false} { start, end } inclusive; null if unsupported (serve everything); false if unsatisfiable
+     */
+    static parseRange(header, size) {
+        const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+        if (!match || (match[1] === '' && match[2] === '')) return null;
+
+        let start;
+        let end;
+        if (match[1] === '') {
+            // Suffix range: the last N bytes
+            start = Math.max(size - Number(match[2]), 0);
+            end = size - 1;
+        } else {
+            start = Number(match[1]);
+            end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+        }
+
+        if (start >= size || start > end) return false;
+        return { start, end };
+    }
+
+    /**
+     * Check whether a URL is a media file
+     */
+    static isMedia(url) {
+        return SiteServiceWorker.MEDIA_PATTERN.test(url.pathname);
+    }
+}
+
+SiteServiceWorker.CACHE_PREFIX = 'khaleddev-';
+
+// Bump the version when PRECACHE_URLS changes so old caches are cleared
+SiteServiceWorker.CACHES = {
+    static: 'khaleddev-static-v6',
+    data: 'khaleddev-data-v1',
+    media: 'khaleddev-media-v1'
+};
+
+SiteServiceWorker.OFFLINE_URL = 'offline.html';
+
+// Every page, stylesheet, script and data file the site needs; keep in sync with the <script> tags
+SiteServiceWorker.PRECACHE_URLS = [
+    './',
+    'index.html',
+    'roblox.html',
+    'offline.html',
+    'index.css',
+    'roblox.css',
+    'safe-dom.js',
+    'safe-markdown.js',
+    'i18n.js',
+    'event-bus.js',
+    'portfolio.js',
+    'portfolio-renderer.js',
+    'tech-taxonomy.js',
+    'skills-overview.js',
+    'command-palette.js',
+    'service-worker-client.js',
+    'roblox-media-providers.js',
+    'roblox-validator.js',
+    'roblox-filters.js',
+    'roblox-router.js',
+    'roblox-timeline.js',
+    'roblox-detail.js',
+    'roblox-card-list.js',
+    'roblox-analytics.js',
+    'roblox-inquiry.js',
+    'roblox-compare.js',
+    'roblox-posters.js',
+    'roblox-progress.js',
+    'roblox-stats.js',
+    'roblox-youtube.js',
+    'roblox-carousel.js',
+    'roblox.js',
+    'portfolio-data.json',
+    'roblox-data.json',
+    'roblox-stats.json',
+    'tech-taxonomy.json'
+];
+
+// Same-origin code, served network-first so it stays in step with the pages
+SiteServiceWorker.CODE_PATTERN = /\.(js|css)$/i;
+
+SiteServiceWorker.MEDIA_PATTERN = /\.(mp4|webm|mov|png|jpe?g|gif|webp|avif)$/i;
+
+SiteServiceWorker.MEDIA_BUDGET = 200 * 1024 * 1024; // Total bytes of cached media before the oldest is evicted
+
+SiteServiceWorker.MEDIA_MAX_ENTRY = 50 * 1024 * 1024; // Larger files are always streamed from the network
+
+SiteServiceWorker.CACHED_AT_HEADER = 'x-sw-cached-at';
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SiteServiceWorker;
+}
+
+if (typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope) {
+    const worker = new SiteServiceWorker(self.registration.scope);
+
+    self.addEventListener('install', event => event.waitUntil(worker.handleInstall()));
+    self.addEventListener('activate', event => event.waitUntil(worker.handleActivate()));
+    self.addEventListener('fetch', event => {
+        const response = worker.handleFetch(event);
+        if (response) {
+            event.respondWith(response);
+        }
+    });
+}
@@ -0,0 +1,170 @@
+/**
+ * Tech Taxonomy
+ * Maps the free-form tech tags in both pages' data to canonical names, categories and icons
+ * from tech-taxonomy.json, and renders tags through them
+ */
+class TechTaxonomy {
+    constructor(options = {}) {
+        this.options = { ...TechTaxonomy.DEFAULT_OPTIONS, ...options };
+        this.categories = {};
+        this.lookup = new Map(); // Lowercased name or alias -> technology
+        this.warned = new Set(); // Unknown tags already reported
+        this.loadPromise = null;
+    }
+
+    /**
+     * Load the taxonomy once; pages render plain tags if it can't be loaded
+     * @returns {Promise<void>}
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = fetch(this.options.url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => this.setData(data))
+                .catch(error => {
+                    console.warn('Could not load the tech taxonomy; tags are shown as written:', error);
+                });
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Index taxonomy data
+     * @param {Object} data - { categories: { id: { icon } }, technologies: [{ name, category, icon?, aliases? }] }
+     */
+    setData(data) {
+        this.categories = (data && data.categories) || {};
+        this.lookup.clear();
+
+        ((data && data.technologies) || []).forEach(tech => {
+            if (!this.categories[tech.category]) {
+                console.warn(`Tech "${tech.name}" has unknown category "${tech.category}"`);
+            }
+
+            [tech.name, ...(tech.aliases || [])].forEach(name => {
+                const key = TechTaxonomy.normalizeKey(name);
+                const existing = this.lookup.get(key);
+                if (existing && existing !== tech) {
+                    console.warn(`Tech alias "${name}" is claimed by both "${existing.name}" and "${tech.name}"`);
+                    return;
+                }
+                this.lookup.set(key, tech);
+            });
+        });
+    }
+
+    /**
+     * Look up a tag
+     * @param {string} tag - Tag as written in the data
+     * @returns {Object} { name, category, icon, known }; unknown tags keep their text and have no category
+     */
+    resolve(tag) {
+        const tech = this.lookup.get(TechTaxonomy.normalizeKey(tag));
+        if (!tech) {
+            return { name: String(tag).trim(), category: null, icon: null, known: false };
+        }
+
+        const category = this.categories[tech.category] || {};
+        return {
+            name: tech.name,
+            category: tech.category,
+            icon: tech.icon || category.icon || null,
+            known: true
+        };
+    }
+
+    /**
+     * Replace aliases with canonical names, dropping tags that become duplicates
+     * @param {Array<string>} tags - Tags as written in the data
+     * @returns {Array<string>} Canonical names in their original order
+     */
+    canonicalize(tags) {
+        const names = [];
+        (tags || []).forEach(tag => {
+            const { name, known } = this.resolve(tag);
+            if (!known) {
+                this.warnUnknown(tag);
+            }
+            if (name && !names.includes(name)) {
+                names.push(name);
+            }
+        });
+        return names;
+    }
+
+    /**
+     * Report a tag missing from the taxonomy, once per tag
+     */
+    warnUnknown(tag) {
+        // Without a loaded taxonomy every tag is unknown, which is already reported by load()
+        if (this.lookup.size === 0 || this.warned.has(tag)) return;
+
+        this.warned.add(tag);
+        console.warn(`Tech tag "${tag}" is not in ${this.options.url}; add it or one of its aliases`);
+    }
+
+    /**
+     * Get the translated label for a category
+     * @param {string|null} category - Category id, or null for unknown tags
+     */
+    getCategoryLabel(category) {
+        return i18n.t(`tech.category.${category || 'other'}`);
+    }
+
+    /**
+     * Create a tag element for a technology
+     * @param {string} tag - Tag as written in the data
+     * @returns {Element} span.tech-tag with its icon and category
+     */
+    createTag(tag) {
+        const tech = this.resolve(tag);
+        if (!tech.known) {
+            this.warnUnknown(tag);
+        }
+
+        const attrs = { title: this.getCategoryLabel(tech.category) };
+        if (tech.category) {
+            attrs['data-tech-category'] = tech.category;
+        }
+
+        return SafeDom.create('span', {
+            className: 'tech-tag',
+            attrs,
+            children: [
+                tech.icon ? SafeDom.icon(tech.icon) : null,
+                tech.name
+            ]
+        });
+    }
+
+    /**
+     * Normalise a name or alias for lookup
+     */
+    static normalizeKey(name) {
+        return String(name).trim().toLowerCase();
+    }
+}
+
+// Display order for grouped tags; unknown tags come last as "other"
+TechTaxonomy.CATEGORY_ORDER = ['language', 'engineService', 'library', 'tool', 'topic'];
+
+TechTaxonomy.DEFAULT_OPTIONS = {
+    url: 'tech-taxonomy.json'
+};
+
+// Shared by both pages; each waits for load() before rendering tags
+const techTaxonomy = new TechTaxonomy();
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TechTaxonomy;
+}
+
+// Make available globally for debugging
+window.TechTaxonomy = TechTaxonomy;
+window.techTaxonomy = techTaxonomy;